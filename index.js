@@ -3,13 +3,35 @@
 const Filter     = require('broccoli-persistent-filter');
 const clone      = require('clone');
 const fs         = require('fs');
+const path       = require('path');
+const mkdirp     = require('mkdirp');
 const stringify  = require('json-stable-stringify');
 const mergeTrees = require('broccoli-merge-trees');
 const funnel     = require('broccoli-funnel');
 const crypto     = require('crypto');
+const convertSourceMap = require('convert-source-map');
 const hashForDep = require('hash-for-dep');
+const minimatch  = require('minimatch');
 const transformString = require('./lib/parallel-api').transformString;
 const transformIsParallelizable = require('./lib/parallel-api').transformIsParallelizable;
+const implementsParallelAPI = require('./lib/parallel-api').implementsParallelAPI;
+const getBabelCorePackage = require('./lib/parallel-api').getBabelCorePackage;
+const getTranspiler = require('./lib/parallel-api').getTranspiler;
+const retainWorkerPool = require('./lib/parallel-api').retainWorkerPool;
+const releaseWorkerPool = require('./lib/parallel-api').releaseWorkerPool;
+const terminateWorkerPools = require('./lib/parallel-api').terminateWorkerPools;
+const defaultJobs = require('./lib/parallel-api').jobs;
+const ConfigFiles = require('./lib/config-files').ConfigFiles;
+const configFilesSignature = require('./lib/config-files').configFilesSignature;
+const mergeConfigFiles = require('./lib/config-files').mergeConfigFiles;
+const isConfigFile = require('./lib/config-files').isConfigFile;
+const getEnvName = require('./lib/config-files').getEnvName;
+const buildModuleGraph = require('./lib/module-graph').buildModuleGraph;
+const findCycles = require('./lib/module-graph').findCycles;
+const findMissingImports = require('./lib/module-graph').findMissingImports;
+const aggregateTranspileErrors = require('./lib/transpile-error').aggregateTranspileErrors;
+const hashForPackage = require('./lib/plugin-packages').hashForPackage;
+const hashForFile = require('./lib/plugin-packages').hashForFile;
 
 function getExtensionsRegex(extensions) {
   return extensions.map(extension => {
@@ -25,7 +47,22 @@ function replaceExtensions(extensionsRegex, name) {
   return name;
 }
 
+// referenced through the parallel API, so using them does not keep a build
+// from being parallelized
+const EXTERNAL_HELPERS_PLUGIN = {
+  _parallelBabel: {
+    requireFile: path.join(__dirname, 'lib', 'external-helpers-plugin.js')
+  }
+};
+
+const MODULE_ID_PLUGIN = {
+  _parallelBabel: {
+    requireFile: path.join(__dirname, 'lib', 'module-id-plugin.js')
+  }
+};
+
 module.exports = Babel;
+module.exports.terminateWorkerPools = terminateWorkerPools;
 function Babel(inputTree, _options) {
   if (!(this instanceof Babel)) {
     return new Babel(inputTree, _options);
@@ -43,9 +80,96 @@ function Babel(inputTree, _options) {
 
   this.console = options.console || console;
   this.throwUnlessParallelizable = options.throwUnlessParallelizable;
+  this.babelCorePath = resolveBabelCorePath(options);
+  this.babelCoreVersion = getBabelCorePackage(this.babelCorePath).version;
+
+  this.jobs = validateJobs(options.jobs);
+  this.workerType = validateWorkerType(options.workerType);
+  this.deriveParallelApi = options.deriveParallelApi !== false;
+  this.workerIdleTimeout = options.workerIdleTimeout;
+  this.workerMaxTransforms = options.workerMaxTransforms;
+  this.workerMaxMemory = options.workerMaxMemory;
+  this.workerRetries = options.workerRetries;
+  this.transformTimeout = options.transformTimeout;
+  this.batchSize = options.batchSize;
+  this.batchMaxFileSize = options.batchMaxFileSize;
 
   delete options.console;
   delete options.throwUnlessParallelizable;
+  delete options.babel;
+  delete options.babelCorePath;
+  delete options.jobs;
+  delete options.workerIdleTimeout;
+  delete options.workerMaxTransforms;
+  delete options.workerMaxMemory;
+  delete options.workerRetries;
+  delete options.transformTimeout;
+  delete options.batchSize;
+  delete options.workerType;
+  delete options.deriveParallelApi;
+  delete options.batchMaxFileSize;
+
+  if (this.batchSize > 1) {
+    // broccoli-persistent-filter has to hand us enough files at a time to fill
+    // a batch for every worker
+    this.concurrency = (this.jobs || defaultJobs) * this.batchSize;
+  } else if (this.jobs && !options.concurrency) {
+    // otherwise it hands us as many files at a time as `JOBS` or the number of
+    // CPUs allow, whatever the size of the pool
+    this.concurrency = this.jobs;
+  }
+
+  delete options.concurrency;
+
+  retainWorkerPool(this.babelCorePath, this.jobs, this.workerType);
+
+  // broccoli-plugin does not allow overriding `cleanup` on the prototype
+  let released = false;
+  let cleanup = this.cleanup;
+
+  this.cleanup = function() {
+    let result = cleanup.apply(this, arguments);
+
+    if (released) {
+      return result;
+    }
+
+    released = true;
+
+    return Promise.resolve(result).then(() => releaseWorkerPool(this.babelCorePath, this.jobs, this.workerType));
+  };
+
+  this.overrides = validateOverrides(options.overrides || []);
+  this.inputTreeConfig = options.inputTreeConfig === true;
+  this.externalHelpers = normalizeExternalHelpers(options.externalHelpers);
+  this.metadataManifest = options.metadataManifest === true ? 'babel-metadata.json' : options.metadataManifest;
+  this.checkImports = normalizeCheckImports(options.checkImports);
+  this.collectErrors = options.collectErrors === true;
+  this._configFiles = null;
+  this._sharedOptions = null;
+  this._externalSourceMaps = Object.create(null);
+  this._pendingSourceMaps = Object.create(null);
+  this._inputSourceMaps = Object.create(null);
+  this._droppedSourceMaps = Object.create(null);
+  this._metadata = Object.create(null);
+  this._externalHelpersSource = null;
+  this._metadataManifestSource = null;
+  this._errors = [];
+
+  delete options.overrides;
+  delete options.inputTreeConfig;
+  delete options.externalHelpers;
+  delete options.metadataManifest;
+  delete options.checkImports;
+  delete options.collectErrors;
+
+  if (babelMajorVersion(this.babelCoreVersion) > 6) {
+    ['externalHelpers', 'metadataManifest', 'checkImports'].forEach(option => {
+      if (this[option]) {
+        throw new Error(this.toString() + ' was configured to use `' + option + '`, but Babel ' + this.babelCoreVersion + ' does not report which helpers a file uses, nor its imports and exports.');
+      }
+    });
+  }
 
   this.options = options;
   this.extensions = this.options.filterExtensions || ['js'];
@@ -53,6 +177,10 @@ function Babel(inputTree, _options) {
   this.name = 'broccoli-babel-transpiler';
 
   if (this.options.helperWhiteList) {
+    if (babelMajorVersion(this.babelCoreVersion) > 6) {
+      throw new Error(this.toString() + ' was given a `helperWhiteList`, but Babel ' + this.babelCoreVersion + ' does not report which helpers a file uses.');
+    }
+
     this.helperWhiteList = this.options.helperWhiteList;
   }
 
@@ -71,14 +199,21 @@ function Babel(inputTree, _options) {
   }
   delete this.options.browserPolyfill;
 
-  let result = transformIsParallelizable(options);
+  let result = transformIsParallelizable(options, '', this.deriveParallelApi);
   let isParallelizable = result.isParallelizable;
   let errors = result.errors;
 
+  this.overrides.forEach((override, i) => {
+    let overrideResult = transformIsParallelizable(override.options, 'overrides[' + i + '].options', this.deriveParallelApi);
+
+    isParallelizable = isParallelizable && overrideResult.isParallelizable;
+    errors = errors.concat(overrideResult.errors);
+  });
+
   if ((this.throwUnlessParallelizable || process.env.THROW_UNLESS_PARALLELIZABLE) && isParallelizable === false) {
     try {
       throw new Error(this.toString() +
-        ' was configured to `throwUnlessParallelizable` and was unable to parallelize a plugin. \nplugins:\n' + joinCount(errors) + '\nPlease see: https://github.com/babel/broccoli-babel-transpiler#parallel-transpilation for more details');
+        ' was configured to `throwUnlessParallelizable` and was unable to parallelize these options:\n' + joinCount(errors) + '\nPlease see: https://github.com/babel/broccoli-babel-transpiler#parallel-transpilation for more details');
     } catch(e) {
       debugger;
 
@@ -88,6 +223,175 @@ function Babel(inputTree, _options) {
   }
 }
 
+// `babelCorePath` is anything `require.resolve` understands, `babel` is the
+// core module itself. Either way we need the file it was loaded from, as that
+// is what the worker processes will `require`.
+function resolveBabelCorePath(options) {
+  if (options.babelCorePath) {
+    return require.resolve(options.babelCorePath);
+  }
+
+  if (options.babel) {
+    let filename = Object.keys(require.cache).filter(id => require.cache[id].exports === options.babel)[0];
+
+    if (!filename) {
+      throw new Error('broccoli-babel-transpiler could not determine which file the `babel` option was loaded from, please pass `babelCorePath` instead.');
+    }
+
+    return filename;
+  }
+}
+
+// `undefined` leaves it to the `JOBS` environment variable
+function validateJobs(jobs) {
+  if (jobs !== undefined && !(jobs >= 1 && Math.floor(jobs) === jobs)) {
+    throw new TypeError('broccoli-babel-transpiler: `jobs` must be a positive integer');
+  }
+
+  return jobs;
+}
+
+function validateWorkerType(workerType) {
+  if (workerType !== undefined && workerType !== 'process' && workerType !== 'thread') {
+    throw new TypeError("broccoli-babel-transpiler: `workerType` must be either 'process' or 'thread'");
+  }
+
+  return workerType;
+}
+
+// each override is `{ test, options }`, where `test` is a glob, a RegExp or an
+// array of those, matched against the path of the file relative to the input tree
+function validateOverrides(overrides) {
+  if (!Array.isArray(overrides)) {
+    throw new TypeError('broccoli-babel-transpiler: `overrides` must be an array');
+  }
+
+  overrides.forEach((override, i) => {
+    let tests = override && [].concat(override.test);
+    let validTests = tests && tests.length > 0 && tests.every(test => typeof test === 'string' || test instanceof RegExp);
+
+    if (!validTests) {
+      throw new TypeError('broccoli-babel-transpiler: `overrides[' + i + '].test` must be a glob, a RegExp or an array of those');
+    }
+
+    if (override.options === null || typeof override.options !== 'object') {
+      throw new TypeError('broccoli-babel-transpiler: `overrides[' + i + '].options` must be an object');
+    }
+  });
+
+  return overrides;
+}
+
+function matchesOverride(override, relativePath) {
+  return matchesAny([].concat(override.test), relativePath);
+}
+
+// `tests` are globs or RegExps
+function matchesAny(tests, string) {
+  return tests.some(test => {
+    return typeof test === 'string' ? minimatch(string, test) : test.test(string);
+  });
+}
+
+// `checkImports: 'warn'` is short for `{ report: 'warn', external: [] }`
+function normalizeCheckImports(checkImports) {
+  if (!checkImports) {
+    return null;
+  }
+
+  let normalized = Object.assign({
+    external: []
+  }, typeof checkImports === 'string' ? { report: checkImports } : checkImports);
+
+  if (['warn', 'error'].indexOf(normalized.report) === -1) {
+    throw new TypeError('broccoli-babel-transpiler: `checkImports.report` must be `warn` or `error`');
+  }
+
+  normalized.external = [].concat(normalized.external);
+
+  if (!normalized.external.every(test => typeof test === 'string' || test instanceof RegExp)) {
+    throw new TypeError('broccoli-babel-transpiler: `checkImports.external` must be a glob, a RegExp or an array of those');
+  }
+
+  return normalized;
+}
+
+// `externalHelpers: true` is short for the defaults below
+function normalizeExternalHelpers(externalHelpers) {
+  if (!externalHelpers) {
+    return null;
+  }
+
+  let normalized = Object.assign({
+    path: 'babel-helpers.js',
+    outputType: 'global'
+  }, externalHelpers === true ? {} : externalHelpers);
+
+  if (['global', 'umd', 'var'].indexOf(normalized.outputType) === -1) {
+    throw new TypeError('broccoli-babel-transpiler: `externalHelpers.outputType` must be one of `global`, `umd` or `var`');
+  }
+
+  return normalized;
+}
+
+// the parts of Babel's metadata that are worth keeping around, see the
+// `metadataManifest` option
+function fileMetadata(metadata) {
+  return {
+    usedHelpers: metadata.usedHelpers,
+    imports: metadata.modules.imports.map(importDeclaration => importDeclaration.source),
+    exports: metadata.modules.exports.exported,
+    moduleId: metadata.moduleId || null
+  };
+}
+
+function babelMajorVersion(version) {
+  return Number(version.split('.')[0]);
+}
+
+// Babel itself only knows `true`, `'inline'` and `'both'`, and with `true` it
+// leaves writing the map to the caller. We treat `true` and `'external'` as a
+// request to write `foo.js.map` next to `foo.js`.
+function usesExternalSourceMaps(options) {
+  let value = 'sourceMaps' in options ? options.sourceMaps : options.sourceMap;
+
+  return value === true || value === 'external';
+}
+
+function toURLPath(relativePath) {
+  return relativePath.split(path.sep).join('/');
+}
+
+// the `sources` of a map are relative to where the map is, so the ones of an
+// input map at `mapPath` are rewritten to be relative to the map that ends up
+// next to `outputPath` instead
+function rebaseSources(map, mapPath, outputPath) {
+  let sourceRoot = map.sourceRoot || '';
+
+  if (!Array.isArray(map.sources) || /^[a-z]+:/i.test(sourceRoot)) {
+    return;
+  }
+
+  let mapDir = path.posix.dirname(toURLPath(mapPath));
+  let outputDir = path.posix.dirname(toURLPath(outputPath));
+
+  map.sources = map.sources.map(source => {
+    if (typeof source !== 'string' || /^[a-z]+:/i.test(source)) {
+      return source;
+    }
+
+    let rooted = path.posix.join(sourceRoot, source);
+
+    if (path.posix.isAbsolute(rooted)) {
+      return rooted;
+    }
+
+    return path.posix.relative(outputDir, path.posix.join(mapDir, rooted));
+  });
+
+  delete map.sourceRoot;
+}
+
 function joinCount(list) {
   let summary = '';
 
@@ -106,8 +410,307 @@ Babel.prototype.baseDir = function() {
   return __dirname;
 };
 
+Babel.prototype.canProcessFile = function(relativePath, entry) {
+  if (this.inputTreeConfig && isConfigFile(relativePath)) {
+    return false;
+  }
+
+  return Filter.prototype.canProcessFile.call(this, relativePath, entry);
+};
+
+Babel.prototype.build = function() {
+  this._pendingSourceMaps = Object.create(null);
+  this._sharedOptions = Object.create(null);
+  this._errors = [];
+
+  if (this.inputTreeConfig) {
+    let signature = md5(configFilesSignature(this.inputPaths[0]));
+
+    if (this._configFilesSignature !== undefined && signature !== this._configFilesSignature) {
+      // any file may be transpiled differently now, so have
+      // broccoli-persistent-filter start over. Files whose config did not
+      // change still come out of the persistent cache.
+      this._needsReset = true;
+    }
+
+    this._configFilesSignature = signature;
+    this._configFiles = new ConfigFiles(this.inputPaths[0], this.babelCoreVersion);
+  }
+
+  this._restoreDroppedSourceMaps();
+
+  return Filter.prototype.build.call(this).then(result => {
+    if (this._errors.length > 0) {
+      // broccoli-persistent-filter considers the build a success, as we caught
+      // every error, and would only hand us the files that change next time.
+      // Have it start over instead, so the failed files are transpiled again.
+      this._needsReset = true;
+      throw aggregateTranspileErrors(this._errors, this.toString());
+    }
+
+    this._forgetDeletedFiles();
+    this._writeSourceMaps();
+    this._dropInputSourceMaps();
+    this._writeExternalHelpers();
+    this._writeMetadataManifest();
+    this._checkImports();
+    return result;
+  });
+};
+
+/*
+ * @private
+ *
+ * @method processAndCacheFile
+ *
+ * With `collectErrors`, a file that fails to transpile no longer stops the
+ * build, which fails with all the errors once every file had its turn.
+ */
+Babel.prototype.processAndCacheFile = function(srcDir, destDir, entry) {
+  let processing = Filter.prototype.processAndCacheFile.apply(this, arguments);
+
+  if (!this.collectErrors) {
+    return processing;
+  }
+
+  return processing.catch(error => {
+    this._errors.push(error);
+  });
+};
+
+/*
+ * @private
+ *
+ * @method _forgetDeletedFiles
+ *
+ * broccoli-persistent-filter only knows about the files it wrote itself, so
+ * when an input file goes away we have to clean up whatever else we kept or
+ * wrote for it by hand.
+ */
+Babel.prototype._forgetDeletedFiles = function() {
+  let inputFiles = Object.create(null);
+
+  this.currentTree.forEach(entry => {
+    inputFiles[entry.relativePath] = true;
+  });
+
+  Object.keys(this._externalSourceMaps).forEach(relativePath => {
+    if (!inputFiles[relativePath]) {
+      let mapPath = path.join(this.outputPath, this._externalSourceMaps[relativePath]);
+
+      if (fs.existsSync(mapPath)) {
+        fs.unlinkSync(mapPath);
+      }
+
+      delete this._externalSourceMaps[relativePath];
+    }
+  });
+
+  Object.keys(this._metadata).forEach(relativePath => {
+    if (!inputFiles[relativePath]) {
+      delete this._metadata[relativePath];
+    }
+  });
+
+  Object.keys(this._inputSourceMaps).forEach(relativePath => {
+    if (!inputFiles[relativePath]) {
+      delete this._inputSourceMaps[relativePath];
+    }
+  });
+};
+
+/*
+ * @private
+ *
+ * @method _writeSourceMaps
+ *
+ * External maps are written once broccoli-persistent-filter is done with the
+ * output tree, as it may still link a map an earlier plugin left in the input
+ * tree to the very same path.
+ */
+Babel.prototype._writeSourceMaps = function() {
+  Object.keys(this._pendingSourceMaps).forEach(relativePath => {
+    let sourceMap = this._pendingSourceMaps[relativePath];
+
+    writeOutputFile(path.join(this.outputPath, sourceMap.path), sourceMap.contents);
+    this._externalSourceMaps[relativePath] = sourceMap.path;
+  });
+};
+
+/*
+ * @private
+ *
+ * @method _dropInputSourceMaps
+ *
+ * A map an earlier plugin left in the input tree describes the code before we
+ * transpiled it, and ends up in the map we emit, so it is taken out of the
+ * output tree rather than passed through next to ours.
+ */
+Babel.prototype._dropInputSourceMaps = function() {
+  Object.keys(this._inputSourceMaps).forEach(relativePath => {
+    let mapPath = this._inputSourceMaps[relativePath];
+    let outputPath = path.join(this.outputPath, mapPath);
+
+    // already replaced by the external map we wrote for the file
+    if (this._externalSourceMaps[relativePath] === mapPath) {
+      return;
+    }
+
+    if (fs.existsSync(outputPath)) {
+      fs.unlinkSync(outputPath);
+    }
+
+    this._droppedSourceMaps[mapPath] = true;
+  });
+};
+
+/*
+ * @private
+ *
+ * @method _restoreDroppedSourceMaps
+ *
+ * broccoli-persistent-filter still expects the maps we dropped from the output
+ * tree where it linked them, and unlinks them there when they change or go
+ * away, so they are put back before every build and dropped again after it.
+ */
+Babel.prototype._restoreDroppedSourceMaps = function() {
+  Object.keys(this._droppedSourceMaps).forEach(mapPath => {
+    let inputPath = path.join(this.inputPaths[0], mapPath);
+
+    writeOutputFile(path.join(this.outputPath, mapPath), fs.existsSync(inputPath) ? fs.readFileSync(inputPath) : '');
+  });
+
+  this._droppedSourceMaps = Object.create(null);
+};
+
+/*
+ * @private
+ *
+ * @method _writeExternalHelpers
+ *
+ * Writes the helpers used by any file in the tree, and only those, to
+ * `externalHelpers.path`.
+ */
+Babel.prototype._writeExternalHelpers = function() {
+  if (!this.externalHelpers) {
+    return;
+  }
+
+  let helpersPath = path.join(this.outputPath, this.externalHelpers.path);
+  let source = getTranspiler(this.babelCorePath).buildExternalHelpers(this.usedHelpers(), this.externalHelpers.outputType);
+
+  // broccoli-persistent-filter may have emptied the output tree
+  if (source !== this._externalHelpersSource || !fs.existsSync(helpersPath)) {
+    writeOutputFile(helpersPath, source);
+    this._externalHelpersSource = source;
+  }
+};
+
+/*
+ * @private
+ *
+ * @method usedHelpers
+ * @returns the sorted names of all the helpers used by the files in the tree
+ */
+Babel.prototype.usedHelpers = function() {
+  let usedHelpers = Object.create(null);
+
+  Object.keys(this._metadata).forEach(relativePath => {
+    this._metadata[relativePath].usedHelpers.forEach(helper => {
+      usedHelpers[helper] = true;
+    });
+  });
+
+  return Object.keys(usedHelpers).sort();
+};
+
+/*
+ * @private
+ *
+ * @method _writeMetadataManifest
+ *
+ * Writes what Babel reported about each file to `metadataManifest`, keyed by
+ * the path of the transpiled file in the output tree.
+ */
+Babel.prototype._writeMetadataManifest = function() {
+  if (!this.metadataManifest) {
+    return;
+  }
+
+  let manifest = {};
+
+  Object.keys(this._metadata).forEach(relativePath => {
+    manifest[this.outputFilePath(relativePath)] = this._metadata[relativePath];
+  });
+
+  let manifestPath = path.join(this.outputPath, this.metadataManifest);
+  let source = stringify(manifest, { space: 2 });
+
+  // broccoli-persistent-filter may have emptied the output tree
+  if (source !== this._metadataManifestSource || !fs.existsSync(manifestPath)) {
+    writeOutputFile(manifestPath, source);
+    this._metadataManifestSource = source;
+  }
+};
+
+/*
+ * @private
+ *
+ * @method _checkImports
+ *
+ * Reports circular imports, and imports of modules that are neither in the
+ * tree nor `checkImports.external`, as warnings or as a build error.
+ */
+Babel.prototype._checkImports = function() {
+  if (!this.checkImports) {
+    return;
+  }
+
+  let graph = buildModuleGraph(Object.keys(this._metadata).map(relativePath => {
+    let metadata = this._metadata[relativePath];
+
+    return {
+      relativePath,
+      // the same ID `moduleId: true` would give the module
+      moduleId: metadata.moduleId || replaceExtensions(this.extensionsRegex, relativePath),
+      imports: metadata.imports
+    };
+  }));
+
+  let isExternal = moduleId => matchesAny(this.checkImports.external, moduleId);
+
+  let problems = findMissingImports(graph, isExternal).map(missing => {
+    return missing.relativePath + ' imports `' + missing.source + '`, but there is no module `' + missing.moduleId + '` in the tree';
+  }).concat(findCycles(graph).map(cycle => {
+    return 'circular import: ' + cycle.concat(cycle[0]).join(' -> ');
+  }));
+
+  if (problems.length === 0) {
+    return;
+  }
+
+  if (this.checkImports.report === 'error') {
+    throw new Error(this.toString() + ' found ' + problems.length + ' problem(s) with imports:\n  ' + problems.join('\n  '));
+  }
+
+  problems.forEach(problem => this.console.warn('broccoli-babel-transpiler: ' + problem));
+};
+
 Babel.prototype.transform = function(string, options) {
-  return transformString(string, options);
+  return transformString(string, options, {
+    babelCorePath: this.babelCorePath,
+    jobs: this.jobs,
+    workerType: this.workerType,
+    deriveParallelApi: this.deriveParallelApi,
+    workerIdleTimeout: this.workerIdleTimeout,
+    workerMaxTransforms: this.workerMaxTransforms,
+    workerMaxMemory: this.workerMaxMemory,
+    workerRetries: this.workerRetries,
+    transformTimeout: this.transformTimeout,
+    batchSize: this.batchSize,
+    batchMaxFileSize: this.batchMaxFileSize,
+    console: this.console
+  });
 };
 
 /*
@@ -117,98 +720,327 @@ Babel.prototype.transform = function(string, options) {
  * @returns a stringified version of the input options
  */
 Babel.prototype.optionsHash = function() {
-  let options = this.options;
+  if (!this._optionsHash) {
+    let hash = this.hashOptions(this.options);
+
+    if (this.babelCorePath) {
+      // the bundled babel-core is already part of this plugin's own cacheKey
+      hash.babelCore = hashForDep(getBabelCorePackage(this.babelCorePath).root);
+    }
+
+    hash.externalHelpers = this.externalHelpers;
+    hash.metadata = this.collectsMetadata();
+
+    this._optionsHash = md5(stringify(hash));
+  }
+
+  return this._optionsHash;
+};
+
+/*
+ * @private
+ *
+ * @method overrideHashes
+ * @returns a hash of each entry in `overrides`, so that changing an override
+ *   only invalidates the files it applies to
+ */
+Babel.prototype.overrideHashes = function() {
+  if (!this._overrideHashes) {
+    this._overrideHashes = this.overrides.map(override => {
+      return md5(stringify({
+        test: [].concat(override.test).map(test => test + ''),
+        options: this.hashOptions(override.options)
+      }));
+    });
+  }
+
+  return this._overrideHashes;
+};
+
+/*
+ * @private
+ *
+ * @method hashOptions
+ * @param {Object} options Babel options
+ * @returns an object describing `options` that can be stringified into a cache key
+ */
+Babel.prototype.hashOptions = function(options) {
   let hash = {};
   let key, value;
 
-  if (!this._optionsHash) {
-    for (key in options) {
-      value = options[key];
+  for (key in options) {
+    value = options[key];
+
+    if (implementsParallelAPI(value)) {
+      hash[key] = hashParallelApi(value);
+    } else {
       hash[key] = (typeof value === 'function') ? (value + '') : value;
     }
+  }
+
+  // a plugin or preset given by name changes with the package it resolves to
+  ['plugin', 'preset'].forEach(type => {
+    if (options[type + 's']) {
+      hash[type + 'Packages'] = this.hashPackages(options[type + 's'], type);
+      hash[type + 's'] = this.hashPlugins(options[type + 's'], type);
+    }
+  });
+
+  return hash;
+};
+
+/*
+ * @private
+ *
+ * @method hashPlugins
+ * @param {Array} items the `plugins` or `presets` option
+ * @param {String} kind either 'plugin' or 'preset'
+ * @returns an array describing `items`, using the `cacheKey` and `baseDir`
+ *   of those that have them, that can be stringified into a cache key. The
+ *   `plugins` and `presets` of a preset without `baseDir` are described the
+ *   same way, however deeply presets include other presets.
+ */
+Babel.prototype.hashPlugins = function(items, kind) {
+  let hash = [];
+  let cacheableItems = items.slice();
+  // the presets themselves, as opposed to the options they are given
+  let presets = kind === 'preset' ? items.map(item => Array.isArray(item) ? item[0] : item) : [];
+
+  for (let i = 0; i < cacheableItems.length; i++) {
+    let item = cacheableItems[i];
+
+    let type = typeof item;
+    let augmentsCacheKey = false;
+    let providesBaseDir = false;
+    let requiresBaseDir = true;
+
+    if (type === 'function') {
+      augmentsCacheKey = typeof item.cacheKey === 'function';
+      providesBaseDir = typeof item.baseDir === 'function';
+
+      if (augmentsCacheKey) {
+        hash.push(item.cacheKey());
+      }
+
+      if (providesBaseDir) {
+        let depHash = hashForDep(item.baseDir());
+
+        hash.push(depHash);
+      } else if (implementsParallelAPI(item)) {
+        hash.push(hashParallelApi(item));
+        requiresBaseDir = false;
+      }
+
+      if (!providesBaseDir && requiresBaseDir){
+        // prevent caching completely if the plugin doesn't provide baseDir
+        // we cannot ensure that we aren't causing invalid caching pain...
+        this.console.warn('broccoli-babel-transpiler is opting out of caching due to a ' + kind + ' that does not provide a caching strategy: `' + item + '`.');
+        hash.push((new Date).getTime() + '|' + Math.random());
+        break;
+      }
+    } else if (Array.isArray(item)) {
+      item.forEach(part => cacheableItems.push(part));
+      continue;
+    } else if (type !== 'object' || item === null) {
+      // handle native strings, numbers, or null (which can JSON.stringify properly)
+      hash.push(item);
+      continue;
+    } else if (type === 'object' && (typeof item.baseDir === 'function')) {
+      hash.push(hashForDep(item.baseDir()));
 
-    if (options.plugins) {
-      hash.plugins = [];
-
-      let cacheableItems = options.plugins.slice();
-
-      for (let i = 0; i < cacheableItems.length; i++) {
-        let item = cacheableItems[i];
-
-        let type = typeof item;
-        let augmentsCacheKey = false;
-        let providesBaseDir = false;
-        let requiresBaseDir = true;
-
-        if (type === 'function') {
-          augmentsCacheKey = typeof item.cacheKey === 'function';
-          providesBaseDir = typeof item.baseDir === 'function';
-
-          if (augmentsCacheKey) {
-            hash.plugins.push(item.cacheKey());
-          }
-
-          if (providesBaseDir) {
-            let depHash = hashForDep(item.baseDir());
-
-            hash.plugins.push(depHash);
-          }
-
-          if (!providesBaseDir && requiresBaseDir){
-            // prevent caching completely if the plugin doesn't provide baseDir
-            // we cannot ensure that we aren't causing invalid caching pain...
-            this.console.warn('broccoli-babel-transpiler is opting out of caching due to a plugin that does not provide a caching strategy: `' + item + '`.');
-            hash.plugins.push((new Date).getTime() + '|' + Math.random());
-            break;
-          }
-        } else if (Array.isArray(item)) {
-          item.forEach(part => cacheableItems.push(part));
-          continue;
-        } else if (type !== 'object' || item === null) {
-          // handle native strings, numbers, or null (which can JSON.stringify properly)
-          hash.plugins.push(item);
-          continue;
-        } else if (type === 'object' && (typeof item.baseDir === 'function')) {
-          hash.plugins.push(hashForDep(item.baseDir()));
-
-          if (typeof item.cacheKey === 'function') {
-            hash.plugins.push(item.cacheKey());
-          }
-        } else if (type === 'object') {
-          // iterate all keys in the item and push them into the cache
-          Object.keys(item).forEach(key => {
-            cacheableItems.push(key);
-            cacheableItems.push(item[key]);
-          });
-          continue;
+      if (typeof item.cacheKey === 'function') {
+        hash.push(item.cacheKey());
+      }
+    } else if (implementsParallelAPI(item)) {
+      hash.push(hashParallelApi(item));
+
+      if (typeof item.cacheKey === 'function') {
+        hash.push(item.cacheKey());
+      }
+    } else if (type === 'object') {
+      // iterate all keys in the item and push them into the cache, except for
+      // the plugins and presets a preset includes, which are hashed like ours
+      Object.keys(item).forEach(key => {
+        if (presets.indexOf(item) > -1 && (key === 'plugins' || key === 'presets') && Array.isArray(item[key])) {
+          let nestedKind = key.slice(0, -1);
+
+          hash.push(key, this.hashPackages(item[key], nestedKind), this.hashPlugins(item[key], nestedKind));
         } else {
-          this.console.warn('broccoli-babel-transpiler is opting out of caching due to an non-cacheable item: `' + item + '` (' + type + ').');
-          hash.plugins.push((new Date).getTime() + '|' + Math.random());
-          break;
+          cacheableItems.push(key);
+          cacheableItems.push(item[key]);
         }
-      }
+      });
+      continue;
+    } else {
+      this.console.warn('broccoli-babel-transpiler is opting out of caching due to an non-cacheable item: `' + item + '` (' + type + ').');
+      hash.push((new Date).getTime() + '|' + Math.random());
+      break;
     }
-
-    this._optionsHash = crypto.createHash('md5').update(stringify(hash), 'utf8').digest('hex');
   }
 
-  return this._optionsHash;
+  return hash;
+};
+
+/*
+ * @private
+ *
+ * @method hashPackages
+ * @param {Array} items the `plugins` or `presets` option
+ * @param {String} type either 'plugin' or 'preset'
+ * @returns for every item given by name, as `'name'` or `['name', options]`,
+ *   a hash of the package it resolves to from the current working directory,
+ *   and null for every other item
+ */
+Babel.prototype.hashPackages = function(items, type) {
+  return items.map(item => {
+    let name = Array.isArray(item) ? item[0] : item;
+
+    if (typeof name !== 'string') {
+      return null;
+    }
+
+    return hashForPackage(name, type, babelMajorVersion(this.babelCoreVersion), process.cwd());
+  });
 };
 
 Babel.prototype.cacheKeyProcessString = function(string, relativePath) {
-  return this.optionsHash() + Filter.prototype.cacheKeyProcessString.call(this, string, relativePath);
+  let key = this.optionsHash();
+  let overrideHashes = this.overrideHashes();
+
+  this.matchingOverrides(relativePath).forEach(index => {
+    key += overrideHashes[index];
+  });
+
+  key += Filter.prototype.cacheKeyProcessString.call(this, string, relativePath);
+
+  let configFiles = this.configFilesFor(relativePath);
+
+  if (configFiles.length > 0) {
+    key += md5(getEnvName() + configFiles.map(configFile => configFile.path + '\0' + configFile.contents).join('\0'));
+  }
+  let inputSourceMap = this.inputSourceMap(string, relativePath);
+
+  if (inputSourceMap) {
+    key += md5(inputSourceMap.contents);
+  }
+
+  return key;
+};
+
+/*
+ * @private
+ *
+ * @method inputSourceMap
+ * @param {String} string contents of the input file
+ * @param {String} relativePath path of the input file
+ * @returns the source map an earlier plugin left in the input tree for this
+ *   file, as `{ path, contents }`, or `null` if there is none
+ *
+ * Either the file points at its map with a `sourceMappingURL` comment, or the
+ * map sits next to it as `foo.js.map`. Inline (data URI) maps are left to
+ * Babel, which already knows how to read them. A comment pointing outside of
+ * the input tree is an error.
+ */
+Babel.prototype.inputSourceMap = function(string, relativePath) {
+  let inputSourceMap = this.findInputSourceMap(string, relativePath);
+
+  // remembered, as the map is dropped from the output tree
+  if (inputSourceMap) {
+    this._inputSourceMaps[relativePath] = inputSourceMap.path;
+  } else {
+    delete this._inputSourceMaps[relativePath];
+  }
+
+  return inputSourceMap;
+};
+
+Babel.prototype.findInputSourceMap = function(string, relativePath) {
+  let options = this.optionsFor(relativePath);
+
+  if (!this.inputPaths || !(options.sourceMaps || options.sourceMap)) {
+    return null;
+  }
+
+  // `false` opts out, an object means the map was given to us explicitly
+  if (options.inputSourceMap === false || typeof options.inputSourceMap === 'object') {
+    return null;
+  }
+
+  let mapPath = relativePath + '.map';
+  let match = convertSourceMap.mapFileCommentRegex.exec(string);
+
+  if (match) {
+    let url = match[1] || match[2];
+
+    if (/^[a-z]+:/i.test(url)) {
+      return null;
+    }
+
+    mapPath = path.join(path.dirname(relativePath), url);
+
+    if (path.isAbsolute(mapPath) || mapPath.split(path.sep)[0] === '..') {
+      throw new Error(relativePath + ' refers to the source map `' + url + '`, which is outside of the input tree');
+    }
+  }
+
+  try {
+    return {
+      path: mapPath,
+      contents: fs.readFileSync(path.join(this.inputPaths[0], mapPath), 'utf8')
+    };
+  } catch (e) {
+    if (e.code === 'ENOENT' || e.code === 'EISDIR') {
+      return null;
+    }
+
+    throw e;
+  }
 };
 
 Babel.prototype.processString = function(string, relativePath) {
-  let options = this.copyOptions();
+  let options = Object.assign({}, this.sharedOptionsFor(relativePath));
+  let externalSourceMaps = usesExternalSourceMaps(options);
 
-  options.filename = options.sourceMapTarget = options.sourceFileName = relativePath;
+  options.filename = options.sourceFileName = relativePath;
+
+  if (babelMajorVersion(this.babelCoreVersion) < 7) {
+    // removed in Babel 7, which rejects unknown options
+    options.sourceMapTarget = relativePath;
+  }
+
+  if (externalSourceMaps) {
+    // an external map is written next to the transpiled file, and the paths
+    // in it are relative to where it is
+    options.sourceFileName = path.basename(relativePath);
+  }
 
   if (options.moduleId === true) {
     options.moduleId = replaceExtensions(this.extensionsRegex, options.filename);
   }
 
+  let inputSourceMap = this.inputSourceMap(string, relativePath);
+  let appendInlineSourceMap = false;
+
+  if (inputSourceMap) {
+    try {
+      options.inputSourceMap = JSON.parse(inputSourceMap.contents);
+    } catch (e) {
+      throw new Error(relativePath + ' refers to the source map `' + inputSourceMap.path + '`, which is not valid JSON: ' + e.message);
+    }
+
+    rebaseSources(options.inputSourceMap, inputSourceMap.path, this.outputFilePath(relativePath));
+
+    string = convertSourceMap.removeMapFileComments(string);
+
+    // Babel switches `sourceMaps` to `true` when it is given an input map, so
+    // an inline map has to be appended by hand.
+    appendInlineSourceMap = /^(inline|both)$/.test(options.sourceMaps || options.sourceMap);
+  }
+
   return this.transform(string, options)
+    .catch(error => {
+      throw this.buildError(error, relativePath);
+    })
     .then(transpiled => {
 
       if (this.helperWhiteList) {
@@ -219,12 +1051,207 @@ Babel.prototype.processString = function(string, relativePath) {
         validateHelpers(invalidHelpers, relativePath);
       }
 
-      return transpiled.code;
+      let result = { output: transpiled.code };
+
+      if (appendInlineSourceMap && transpiled.map) {
+        result.output += '\n' + convertSourceMap.fromObject(transpiled.map).toComment();
+      }
+
+      if (externalSourceMaps && transpiled.map) {
+        let mapFile = this.sourceMapPath(relativePath);
+
+        transpiled.map.file = path.basename(this.outputFilePath(relativePath));
+        result.output += '\n//# sourceMappingURL=' + path.basename(mapFile);
+        result.sourceMap = {
+          path: mapFile,
+          contents: JSON.stringify(transpiled.map)
+        };
+      }
+
+      if (this.collectsMetadata()) {
+        result.metadata = fileMetadata(transpiled.metadata);
+      }
+
+      return result;
     });
 };
 
-Babel.prototype.copyOptions = function() {
-  let cloned = clone(this.options);
+/*
+ * @private
+ *
+ * @method buildError
+ * @param {Error} error a transpile error, as normalized by `transformString`
+ * @param {String} relativePath path of the input file
+ * @returns the error, with the location fields Broccoli reports build errors
+ *   with
+ */
+Babel.prototype.buildError = function(error, relativePath) {
+  let location = {
+    file: relativePath,
+    treeDir: this.inputPaths ? this.inputPaths[0] : null,
+    line: error.line,
+    column: error.column
+  };
+
+  Object.assign(error, location);
+
+  error.broccoliPayload = {
+    originalError: error,
+    originalMessage: error.message,
+    location
+  };
+
+  return error;
+};
+
+// whether any option needs what Babel reports about each file
+Babel.prototype.collectsMetadata = function() {
+  return !!(this.externalHelpers || this.metadataManifest || this.checkImports);
+};
+
+/*
+ * @private
+ *
+ * @method sourceMapPath
+ * @param {String} relativePath path of the input file
+ * @returns the path of the external source map, relative to the output tree
+ */
+Babel.prototype.sourceMapPath = function(relativePath) {
+  return this.outputFilePath(relativePath) + '.map';
+};
+
+/*
+ * @private
+ *
+ * @method outputFilePath
+ * @param {String} relativePath path of the input file
+ * @returns the path of the transpiled file, relative to the output tree
+ */
+Babel.prototype.outputFilePath = function(relativePath) {
+  return replaceExtensions(this.extensionsRegex, relativePath) + '.' + this.targetExtension;
+};
+
+// runs for fresh and cached results alike, so this is where we learn about
+// anything besides the transpiled file itself that belongs in the output tree.
+Babel.prototype.postProcess = function(result, relativePath) {
+  if (result.sourceMap) {
+    this._pendingSourceMaps[relativePath] = result.sourceMap;
+  }
+
+  if (result.metadata) {
+    this._metadata[relativePath] = result.metadata;
+  }
+
+  return result;
+};
+
+/*
+ * @private
+ *
+ * @method matchingOverrides
+ * @param {String} relativePath path of the input file
+ * @returns the indices of the `overrides` that apply to the file
+ */
+Babel.prototype.matchingOverrides = function(relativePath) {
+  let indices = [];
+
+  if (relativePath !== undefined) {
+    this.overrides.forEach((override, i) => {
+      if (matchesOverride(override, relativePath)) {
+        indices.push(i);
+      }
+    });
+  }
+
+  return indices;
+};
+
+/*
+ * @private
+ *
+ * @method configFilesFor
+ * @param {String} relativePath path of the input file
+ * @returns the Babel config files in the input tree that apply to the file,
+ *   if `inputTreeConfig` is enabled
+ */
+Babel.prototype.configFilesFor = function(relativePath) {
+  if (!this._configFiles || relativePath === undefined) {
+    return [];
+  }
+
+  return this._configFiles.configFilesFor(relativePath);
+};
+
+/*
+ * @private
+ *
+ * @method optionsFor
+ * @param {String} relativePath path of the input file
+ * @returns the options with every matching override applied, in order
+ */
+Babel.prototype.optionsFor = function(relativePath) {
+  let options = Object.assign({}, this.options);
+  let configFiles = this.configFilesFor(relativePath);
+
+  if (configFiles.length > 0) {
+    options = mergeConfigFiles(configFiles, options);
+  }
+
+  this.matchingOverrides(relativePath).forEach(index => {
+    Object.assign(options, this.overrides[index].options);
+  });
+
+  return options;
+};
+
+/*
+ * @private
+ *
+ * @method sharedOptionsFor
+ * @param {String} relativePath path of the input file
+ * @returns the options of the file that don't depend on its path. Files with
+ *   the same config files and overrides get the very same object during a
+ *   build, so their options are only registered with the workers once.
+ *   Before the first build, they are read from `options` every time.
+ */
+Babel.prototype.sharedOptionsFor = function(relativePath) {
+  let configFiles = this.configFilesFor(relativePath).map(configFile => configFile.path);
+  let key = JSON.stringify([configFiles, this.matchingOverrides(relativePath)]);
+
+  if (this._sharedOptions && this._sharedOptions[key]) {
+    return this._sharedOptions[key];
+  }
+
+  let options = this.copyOptions(relativePath);
+
+  if (this.inputTreeConfig) {
+    // we already merged the config files Babel would be looking for, and any
+    // it finds on its own would be relative to the current working directory
+    options.babelrc = false;
+  }
+
+  if (usesExternalSourceMaps(options)) {
+    delete options.sourceMap;
+    options.sourceMaps = true;
+  }
+
+  if (this.externalHelpers) {
+    options.plugins = [EXTERNAL_HELPERS_PLUGIN].concat(options.plugins || []);
+  }
+
+  if (this.metadataManifest || this.checkImports) {
+    options.plugins = (options.plugins || []).concat(MODULE_ID_PLUGIN);
+  }
+
+  if (this._sharedOptions) {
+    this._sharedOptions[key] = options;
+  }
+
+  return options;
+};
+
+Babel.prototype.copyOptions = function(relativePath) {
+  let cloned = clone(this.optionsFor(relativePath));
   if (cloned.filterExtensions) {
     delete cloned.filterExtensions;
   }
@@ -234,6 +1261,41 @@ Babel.prototype.copyOptions = function() {
   return cloned;
 };
 
+/*
+ * @method hashParallelApi
+ * @param {Object|Function} value a plugin or callback that implements the
+ *   parallel API
+ * @returns an object describing how a worker builds `value`, that changes with
+ *   its `requireFile` rather than with the source of `value` itself
+ */
+function hashParallelApi(value) {
+  let parallelApiInfo = value._parallelBabel;
+
+  return {
+    requireFile: hashForFile(parallelApiInfo.requireFile, process.cwd()),
+    useMethod: parallelApiInfo.useMethod,
+    buildUsing: parallelApiInfo.buildUsing,
+    params: parallelApiInfo.params
+  };
+}
+
+function md5(string) {
+  return crypto.createHash('md5').update(string, 'utf8').digest('hex');
+}
+
+function writeOutputFile(fullPath, contents) {
+  mkdirp.sync(path.dirname(fullPath));
+
+  // the input tree may already contain a file with this name, which
+  // broccoli-persistent-filter will have symlinked into the output tree.
+  // Writing through that link would modify the input, so replace it instead.
+  if (fs.existsSync(fullPath)) {
+    fs.unlinkSync(fullPath);
+  }
+
+  fs.writeFileSync(fullPath, contents);
+}
+
 function validateHelpers(invalidHelpers, relativePath) {
   if (invalidHelpers.length > 0) {
     let message = relativePath + ' was transformed and relies on `' + invalidHelpers[0] + '`, which was not included in the helper whitelist. Either add this helper to the whitelist or refactor to not be dependent on this runtime helper.';
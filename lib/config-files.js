@@ -0,0 +1,238 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const JSON5 = require('json5');
+const walkSync = require('walk-sync');
+
+const PROJECT_CONFIG_FILENAME = 'babel.config.js';
+const BABELRC_FILENAMES = ['.babelrc', '.babelrc.js'];
+const PACKAGE_FILENAME = 'package.json';
+
+// options that are concatenated rather than replaced when merging, like Babel does
+const CONCATENATED_OPTIONS = ['plugins', 'presets'];
+
+function isConfigFile(relativePath) {
+  let basename = path.basename(relativePath);
+
+  return (relativePath === PROJECT_CONFIG_FILENAME) || BABELRC_FILENAMES.indexOf(basename) > -1;
+}
+
+// same precedence as Babel itself
+function getEnvName() {
+  return process.env.BABEL_ENV || process.env.NODE_ENV || 'development';
+}
+
+/*
+ * @param {String} srcDir the input tree
+ * @returns a string that changes whenever a config file is added to, removed
+ *   from or edited in the input tree. Like broccoli-persistent-filter, it
+ *   tells edits apart by size and modification time, so no file is read.
+ */
+function configFilesSignature(srcDir) {
+  let globs = [PROJECT_CONFIG_FILENAME, '**/' + PACKAGE_FILENAME].concat(BABELRC_FILENAMES.map(name => '**/' + name));
+
+  return walkSync.entries(srcDir, { globs, directories: false }).map(entry => {
+    return entry.relativePath + '\0' + entry.size + '\0' + Number(entry.mtime);
+  }).join('\0');
+}
+
+/*
+ * @param {String} babelVersion the version of the Babel core in use
+ * @returns the `api` Babel 7 calls a config function with. Config files are
+ *   evaluated once per build whatever they ask for, so `api.cache` only
+ *   returns what a `using` callback returns.
+ */
+function configApi(babelVersion) {
+  let envName = getEnvName();
+  let cache = value => typeof value === 'function' ? value() : undefined;
+
+  cache.forever = cache.never = () => {};
+  cache.using = cache.invalidate = callback => callback();
+
+  return {
+    version: babelVersion,
+    cache,
+    env(value) {
+      if (value === undefined) {
+        return envName;
+      } else if (typeof value === 'function') {
+        return value(envName);
+      }
+
+      return [].concat(value).indexOf(envName) > -1;
+    },
+    assertVersion(range) {
+      if (typeof range === 'number' && Number(babelVersion.split('.')[0]) !== range) {
+        throw new Error('Requires Babel ' + range + ', but was loaded with ' + babelVersion);
+      }
+    }
+  };
+}
+
+/*
+ * Finds and loads the Babel config files that live in an input tree:
+ *
+ * - `babel.config.js` in the root of the tree applies to every file
+ * - the closest `.babelrc`, `.babelrc.js` or `package.json` with a `babel`
+ *   key, looking from the directory of a file up to the root of the tree
+ *
+ * Files are read at most once per instance, so create a new one for every
+ * build. `babelVersion` is what a config function gets as `api.version`.
+ */
+function ConfigFiles(srcDir, babelVersion) {
+  this.srcDir = srcDir;
+  this.babelVersion = babelVersion || require('babel-core/package.json').version;
+  this._directoryConfigs = Object.create(null);
+  this._projectConfig = undefined;
+}
+
+/*
+ * @method configFilesFor
+ * @param {String} relativePath path of a file in the input tree
+ * @returns the config files that apply to the file, least specific first, as
+ *   `{ path, contents, options }`
+ */
+ConfigFiles.prototype.configFilesFor = function(relativePath) {
+  let configFiles = [];
+  let projectConfig = this.projectConfig();
+  let directoryConfig = this.directoryConfig(path.dirname(relativePath));
+
+  if (projectConfig) {
+    configFiles.push(projectConfig);
+  }
+
+  if (directoryConfig) {
+    configFiles.push(directoryConfig);
+  }
+
+  return configFiles;
+};
+
+ConfigFiles.prototype.projectConfig = function() {
+  if (this._projectConfig === undefined) {
+    this._projectConfig = this.load(PROJECT_CONFIG_FILENAME);
+  }
+
+  return this._projectConfig;
+};
+
+// the closest config file for `dir`, which is relative to the input tree
+ConfigFiles.prototype.directoryConfig = function(dir) {
+  if (dir === '' || dir === '/') {
+    dir = '.';
+  }
+
+  if (dir in this._directoryConfigs) {
+    return this._directoryConfigs[dir];
+  }
+
+  let config = null;
+  let candidates = BABELRC_FILENAMES.concat(PACKAGE_FILENAME);
+
+  for (let i = 0; i < candidates.length && !config; i++) {
+    config = this.load(path.join(dir, candidates[i]));
+  }
+
+  if (!config && dir !== '.') {
+    config = this.directoryConfig(path.dirname(dir));
+  }
+
+  this._directoryConfigs[dir] = config;
+
+  return config;
+};
+
+ConfigFiles.prototype.load = function(relativePath) {
+  let fullPath = path.join(this.srcDir, relativePath);
+  let contents;
+
+  try {
+    contents = fs.readFileSync(fullPath, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT' || e.code === 'EISDIR') {
+      return null;
+    }
+
+    throw e;
+  }
+
+  let options;
+
+  try {
+    options = parseConfig(fullPath, relativePath, contents, this.babelVersion);
+  } catch (e) {
+    e.message = 'Error while loading ' + relativePath + ': ' + e.message;
+    throw e;
+  }
+
+  if (!options) {
+    return null;
+  }
+
+  return {
+    path: relativePath,
+    contents,
+    options
+  };
+};
+
+function parseConfig(fullPath, relativePath, contents, babelVersion) {
+  let basename = path.basename(relativePath);
+
+  if (basename === PACKAGE_FILENAME) {
+    return JSON.parse(contents).babel || null;
+  } else if (path.extname(basename) === '.js') {
+    // always evaluate the current contents, not what an earlier build required
+    delete require.cache[require.resolve(fullPath)];
+
+    let config = require(fullPath);
+
+    return typeof config === 'function' ? config(configApi(babelVersion)) : config;
+  } else {
+    return JSON5.parse(contents);
+  }
+}
+
+/*
+ * @param {Array} configFiles as returned by `ConfigFiles#configFilesFor`
+ * @param {Object} options the options given to broccoli-babel-transpiler
+ * @returns the options of every config file merged with `options`, in order,
+ *   with `env` sections for the current environment applied
+ */
+function mergeConfigFiles(configFiles, options) {
+  let envName = getEnvName();
+  let merged = {};
+
+  configFiles.map(configFile => configFile.options).concat(options).forEach(config => {
+    mergeOptions(merged, config);
+
+    if (config.env && config.env[envName]) {
+      mergeOptions(merged, config.env[envName]);
+    }
+  });
+
+  return merged;
+}
+
+function mergeOptions(target, source) {
+  Object.keys(source).forEach(key => {
+    if (key === 'env') {
+      return;
+    }
+
+    if (CONCATENATED_OPTIONS.indexOf(key) > -1 && Array.isArray(target[key]) && Array.isArray(source[key])) {
+      target[key] = target[key].concat(source[key]);
+    } else {
+      target[key] = source[key];
+    }
+  });
+}
+
+module.exports = {
+  ConfigFiles,
+  configFilesSignature,
+  getEnvName,
+  isConfigFile,
+  mergeConfigFiles
+};
@@ -0,0 +1,13 @@
+'use strict';
+
+// does what babel-plugin-external-helpers does: transpiled files refer to
+// helpers as `babelHelpers.name`, instead of each getting their own copy
+module.exports = function(babel) {
+  const t = babel.types;
+
+  return {
+    pre(file) {
+      file.set('helpersNamespace', t.identifier('babelHelpers'));
+    }
+  };
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+const path = require('path');
+
+/*
+ * @param {String} moduleId the ID of the importing module
+ * @param {String} source what the module imports
+ * @returns the ID of the imported module, with relative imports resolved like
+ *   AMD loaders do
+ */
+function resolveImport(moduleId, source) {
+  if (/^\.\.?(\/|$)/.test(source)) {
+    return path.posix.join(path.posix.dirname(moduleId), source);
+  }
+
+  return source;
+}
+
+/*
+ * @param {Array} files `{ relativePath, moduleId, imports }` for every module
+ *   in the tree
+ * @returns the modules in the tree by ID, each with the IDs of the modules it
+ *   imports as `dependencies`
+ */
+function buildModuleGraph(files) {
+  let graph = Object.create(null);
+
+  files.forEach(file => {
+    graph[file.moduleId] = {
+      relativePath: file.relativePath,
+      imports: file.imports,
+      dependencies: file.imports.map(source => resolveImport(file.moduleId, source))
+    };
+  });
+
+  return graph;
+}
+
+/*
+ * @param {Object} graph as returned by `buildModuleGraph`
+ * @param {Function} isExternal whether a module ID is expected to come from
+ *   outside the tree
+ * @returns `{ relativePath, source, moduleId }` for every import of a module
+ *   that is not in the tree
+ */
+function findMissingImports(graph, isExternal) {
+  let missing = [];
+
+  Object.keys(graph).sort().forEach(moduleId => {
+    let module = graph[moduleId];
+
+    module.dependencies.forEach((dependency, i) => {
+      if (!(dependency in graph) && !isExternal(dependency)) {
+        missing.push({
+          relativePath: module.relativePath,
+          source: module.imports[i],
+          moduleId: dependency
+        });
+      }
+    });
+  });
+
+  return missing;
+}
+
+/*
+ * @param {Object} graph as returned by `buildModuleGraph`
+ * @returns the circular imports in the graph, each as the list of module IDs
+ *   that make up the cycle, starting with the lowest one
+ */
+function findCycles(graph) {
+  let cycles = [];
+  let seen = Object.create(null);
+  let visited = Object.create(null);
+  let stack = [];
+
+  function visit(moduleId) {
+    visited[moduleId] = true;
+    stack.push(moduleId);
+
+    graph[moduleId].dependencies.forEach(dependency => {
+      if (!(dependency in graph)) {
+        return;
+      }
+
+      let index = stack.indexOf(dependency);
+
+      if (index > -1) {
+        let cycle = rotateToLowest(stack.slice(index));
+        let key = cycle.join('\0');
+
+        if (!seen[key]) {
+          seen[key] = true;
+          cycles.push(cycle);
+        }
+      } else if (!visited[dependency]) {
+        visit(dependency);
+      }
+    });
+
+    stack.pop();
+  }
+
+  Object.keys(graph).sort().forEach(moduleId => {
+    if (!visited[moduleId]) {
+      visit(moduleId);
+    }
+  });
+
+  return cycles;
+}
+
+// so the same cycle is reported the same way, wherever it was entered
+function rotateToLowest(cycle) {
+  let lowest = cycle.indexOf(cycle.slice().sort()[0]);
+
+  return cycle.slice(lowest).concat(cycle.slice(0, lowest));
+}
+
+module.exports = {
+  buildModuleGraph,
+  findCycles,
+  findMissingImports,
+  resolveImport
+};
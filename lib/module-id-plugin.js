@@ -0,0 +1,11 @@
+'use strict';
+
+// records the module ID Babel derives for a file, the same one the module
+// transforms use, in `metadata.moduleId`
+module.exports = function() {
+  return {
+    post(file) {
+      file.metadata.moduleId = file.getModuleName();
+    }
+  };
+};
@@ -1,40 +1,271 @@
 'use strict';
 
-const transpiler = require('babel-core');
+const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const workerpool = require('workerpool');
 const Promise = require('rsvp').Promise;
 const debugGenerator = require('heimdalljs-logger');
+const normalizeTranspileError = require('./transpile-error').normalizeTranspileError;
 
 const JOBS = Number(process.env.JOBS) || require('os').cpus().length;
 
 const loggerName = 'broccoli-persistent-filter:babel:parallel-api';
 const _logger = debugGenerator(loggerName);
 
-const babelCoreVersion = getBabelVersion();
+const DEFAULT_BABEL_CORE_PATH = require.resolve('babel-core');
+// bumped whenever what is stored under these keys, or what their workers
+// expect to be sent, changes shape, as every copy of this plugin in a process
+// shares them
+const WORKER_POOL_ID_PREFIX = 'v5/broccoli-babel-transpiler/workerpool/babel-core-';
+const babelCorePackages = Object.create(null);
+const DEFAULT_BATCH_MAX_FILE_SIZE = 4 * 1024;
+const DEFAULT_WORKER_RETRIES = 2;
+
+// files waiting to be sent to a pool together, by pool ID
+const batches = Object.create(null);
+
+// options that differ from file to file, so they are sent with every file
+// instead of being registered with the workers
+const PER_FILE_OPTIONS = ['filename', 'sourceFileName', 'sourceMapTarget', 'moduleId', 'inputSourceMap'];
+
+// the shared options registered last, most recent first, see `registerOptions`
+const registrations = [];
+const MAX_REGISTRATIONS = 16;
 
 // return the version of Babel that will be used by this plugin
-function getBabelVersion() {
-  return require('babel-core/package.json').version;
+function getBabelVersion(babelCorePath) {
+  return getBabelCorePackage(babelCorePath).version;
 }
 
-function getWorkerPool() {
-  let pool;
-  let globalPoolID = 'v1/broccoli-babel-transpiler/workerpool/babel-core-' + babelCoreVersion;
-  let existingPool = process[globalPoolID];
+// find the package.json of the Babel core that `babelCorePath` (the resolved
+// main file) belongs to
+function getBabelCorePackage(babelCorePath) {
+  let file = babelCorePath || DEFAULT_BABEL_CORE_PATH;
 
-  if (existingPool) {
-    pool = existingPool;
-  } else {
-    pool = workerpool.pool(path.join(__dirname, 'worker.js'), { maxWorkers: JOBS });
-    process[globalPoolID] = pool;
+  if (!babelCorePackages[file]) {
+    babelCorePackages[file] = findBabelCorePackage(file);
+  }
+
+  return babelCorePackages[file];
+}
+
+function findBabelCorePackage(file) {
+  let dir = path.dirname(file);
+
+  while (true) {
+    let packageJSONPath = path.join(dir, 'package.json');
+
+    if (fs.existsSync(packageJSONPath)) {
+      let pkg = require(packageJSONPath);
+
+      if (pkg.name && pkg.version) {
+        return {
+          root: dir,
+          name: pkg.name,
+          version: pkg.version
+        };
+      }
+    }
+
+    let parent = path.dirname(dir);
+
+    if (parent === dir) {
+      throw new Error('Could not find the package.json of the Babel core at ' + file);
+    }
+
+    dir = parent;
+  }
+}
+
+function getTranspiler(babelCorePath) {
+  return require(babelCorePath || DEFAULT_BABEL_CORE_PATH);
+}
+
+// worker_threads is only available from Node 11.7 on (or with
+// --experimental-worker before that)
+function hasWorkerThreads() {
+  try {
+    require('worker_threads');
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// the kind of workers a pool actually uses, as threads fall back to processes
+// where they are not available
+function resolveWorkerType(workerType) {
+  if (workerType === 'thread') {
+    if (hasWorkerThreads()) {
+      return 'thread';
+    }
+
+    _logger.info('worker_threads is not available in Node ' + process.version + ', using processes instead');
+  }
+
+  return 'process';
+}
+
+function getWorkerPoolID(babelCorePath, jobs, workerType) {
+  let file = babelCorePath || DEFAULT_BABEL_CORE_PATH;
+
+  return WORKER_POOL_ID_PREFIX + getBabelVersion(file) + ':' + file + ':' + (jobs || JOBS) + ':' + resolveWorkerType(workerType);
+}
+
+// one pool per Babel core, number of jobs and type of worker, shared by every
+// instance of this plugin (even across multiple copies of it) that uses that
+// core with that many jobs of that type. The pool itself is only started once
+// there is something to transpile, and again after it was terminated.
+function getWorkerPoolEntry(babelCorePath, jobs, workerType) {
+  let file = babelCorePath || DEFAULT_BABEL_CORE_PATH;
+  let globalPoolID = getWorkerPoolID(file, jobs, workerType);
+
+  if (!process[globalPoolID]) {
+    process[globalPoolID] = {
+      file,
+      workerType: resolveWorkerType(workerType),
+      maxWorkers: jobs || JOBS,
+      pool: null,
+      references: 0,
+      activeTasks: 0,
+      idleTimer: null,
+      warnedAboutRecycling: false,
+      // the hashes of the options each worker knows, by its ID
+      workerOptions: Object.create(null)
+    };
+  }
+
+  return process[globalPoolID];
+}
+
+function getWorkerPool(babelCorePath, jobs, workerType) {
+  let entry = getWorkerPoolEntry(babelCorePath, jobs, workerType);
+
+  if (!entry.pool) {
+    entry.pool = workerpool.pool(path.join(__dirname, 'worker.js'), {
+      maxWorkers: entry.maxWorkers,
+      nodeWorker: entry.workerType
+    });
+  }
+
+  return entry.pool;
+}
+
+// called by every instance of this plugin that may use the pool of a Babel core
+function retainWorkerPool(babelCorePath, jobs, workerType) {
+  getWorkerPoolEntry(babelCorePath, jobs, workerType).references++;
+}
+
+// terminates the pool once the last instance that retained it let go of it
+function releaseWorkerPool(babelCorePath, jobs, workerType) {
+  let entry = getWorkerPoolEntry(babelCorePath, jobs, workerType);
+
+  entry.references = Math.max(entry.references - 1, 0);
+
+  if (entry.references > 0) {
+    return Promise.resolve();
   }
-  return pool;
+
+  return terminatePoolOf(entry);
+}
+
+// terminates the workers of a Babel core's pool right away, whoever still
+// retains it. They are started again if needed.
+function terminateWorkerPool(babelCorePath, jobs, workerType) {
+  return terminatePoolOf(getWorkerPoolEntry(babelCorePath, jobs, workerType));
+}
+
+// terminates the workers of every Babel core's pool
+function terminateWorkerPools() {
+  let globalPoolIDs = Object.keys(process).filter(key => key.indexOf(WORKER_POOL_ID_PREFIX) === 0);
+
+  return Promise.all(globalPoolIDs.map(globalPoolID => terminatePoolOf(process[globalPoolID])));
+}
+
+function terminatePoolOf(entry) {
+  let pool = entry.pool;
+
+  clearTimeout(entry.idleTimer);
+  entry.idleTimer = null;
+  entry.pool = null;
+  entry.workerOptions = Object.create(null);
+
+  return pool ? Promise.resolve(pool.terminate()) : Promise.resolve();
+}
+
+/*
+ * @private
+ *
+ * @method execInWorkerPool
+ *
+ * Runs a task in the pool of a Babel core, which is terminated once it had
+ * nothing to do for `buildOptions.workerIdleTimeout` milliseconds, if given.
+ * The task is rejected with a `TimeoutError` once it ran for
+ * `buildOptions.transformTimeout` milliseconds.
+ */
+function execInWorkerPool(babelCorePath, method, params, buildOptions) {
+  const idleTimeout = buildOptions && buildOptions.workerIdleTimeout;
+  const jobs = buildOptions && buildOptions.jobs;
+  const workerType = buildOptions && buildOptions.workerType;
+  let entry = getWorkerPoolEntry(babelCorePath, jobs, workerType);
+  let pool = getWorkerPool(babelCorePath, jobs, workerType);
+
+  clearTimeout(entry.idleTimer);
+  entry.idleTimer = null;
+  entry.activeTasks++;
+
+  let settled = () => {
+    entry.activeTasks--;
+
+    if (entry.activeTasks === 0 && idleTimeout > 0 && entry.pool === pool) {
+      entry.idleTimer = setTimeout(() => terminatePoolOf(entry), idleTimeout);
+      // idle workers should not keep the process alive either
+      entry.idleTimer.unref();
+    }
+  };
+
+  let task = pool.exec(method, params);
+
+  if (buildOptions && buildOptions.transformTimeout > 0) {
+    // workerpool kills the worker of a task that times out, and the pool
+    // starts a new one when needed
+    task = task.timeout(buildOptions.transformTimeout);
+  }
+
+  return new Promise((resolve, reject) => {
+    task.then(response => {
+      settled();
+      entry.workerOptions[response.worker.id] = response.worker.options;
+      recycleWorker(entry, pool, response.worker, buildOptions);
+      resolve(response.result);
+    }, error => {
+      settled();
+      reject(error);
+    });
+  });
+}
+
+// workerpool keeps the handlers of its workers in a private array. When it
+// doesn't, we can't tell the workers apart.
+function workersOf(pool) {
+  return pool && Array.isArray(pool.workers) ? pool.workers : [];
+}
+
+// the ID a worker reports about itself, see `lib/worker.js`
+function workerIdOf(handler) {
+  let worker = handler.worker;
+
+  if (!worker) {
+    return null;
+  }
+
+  return worker.isWorkerThread ? 'thread ' + worker.threadId : String(worker.pid);
 }
 
 function implementsParallelAPI(object) {
   const type = typeof object;
-  const hasProperties = type === 'function' || type === 'object' || Array.isArray(object);
+  const hasProperties = object !== null && (type === 'function' || type === 'object');
 
   return hasProperties &&
     object._parallelBabel !== null &&
@@ -42,92 +273,200 @@ function implementsParallelAPI(object) {
     typeof object._parallelBabel.requireFile === 'string';
 }
 
-function isSerializable(value) {
-  if (value === null) {
-    return true;
-  } else if (implementsParallelAPI(value)) {
-    return true;
-  } else if (Array.isArray(value)) {
-    return value.every(isSerializable);
-  } else {
-    switch (typeof value) {
-      case 'string':
-      case 'number':
-      case 'boolean':  return true;
-      case 'object':   return Object.keys(value).every(key => isSerializable(value[key]));
-      default:         return false;
-    }
-  }
+function isSerializable(value, deriveParallelApi) {
+  return findUnserializable(value, '', deriveParallelApi).length === 0;
 }
 
-function pluginsAreParallelizable(plugins) {
-  const errors = [];
-  let isParallelizable = true;
+// the functions `findParallelApiInfo` was asked about, with what it found
+const derivedParallelApiInfo = new WeakMap();
 
-  if (Array.isArray(plugins)) {
-    for (let i = 0; i < plugins.length; i++) {
-      let plugin = plugins[i];
-      if (isSerializable(plugin) === false) {
-        isParallelizable = false;
-        errors.push(humanizePlugin(plugin));
+/*
+ * @private
+ *
+ * @method findParallelApiInfo
+ *
+ * Derives the `_parallelBabel` of a function that is the `module.exports`, or a
+ * named export, of a JavaScript file that was already required, so a worker
+ * can require it too. Returns null when there is no such file.
+ */
+function findParallelApiInfo(fn) {
+  if (derivedParallelApiInfo.has(fn)) {
+    return derivedParallelApiInfo.get(fn);
+  }
+
+  let info = null;
+  let files = Object.keys(require.cache).filter(file => path.isAbsolute(file) && path.extname(file) === '.js');
+
+  for (let i = 0; i < files.length && !info; i++) {
+    let exports = require.cache[files[i]].exports;
+
+    if (exports === fn) {
+      info = { requireFile: files[i] };
+    } else if (exports !== null && (typeof exports === 'object' || typeof exports === 'function')) {
+      // only look at plain values, getters may have side effects
+      let useMethod = Object.keys(exports).filter(key => {
+        let descriptor = Object.getOwnPropertyDescriptor(exports, key);
+        return descriptor && descriptor.value === fn;
+      })[0];
+
+      if (useMethod) {
+        info = { requireFile: files[i], useMethod };
       }
     }
   }
 
-  return {
-    isParallelizable,
-    errors
-  };
+  if (info) {
+    _logger.info('derived _parallelBabel ' + JSON.stringify(info) + ' for ' + (fn.name ? 'function `' + fn.name + '`' : 'an anonymous function'));
+  }
+
+  derivedParallelApiInfo.set(fn, info);
+
+  return info;
 }
 
-function callbacksAreParallelizable(options) {
-  const callbacks = Object.keys(options).filter(key => typeof options[key] === 'function');
-  let isParallelizable = true;
-  const errors = [];
+// the `_parallelBabel` of a value that implements the parallel API, or can be
+// derived for it when `deriveParallelApi` is true
+function parallelApiInfoOf(value, deriveParallelApi) {
+  if (implementsParallelAPI(value)) {
+    return value._parallelBabel;
+  } else if (deriveParallelApi && typeof value === 'function') {
+    return findParallelApiInfo(value);
+  }
+
+  return null;
+}
+
+// `plugins[3][1].resolvePath`, `["some-key"]`
+function joinOptionPath(path, key) {
+  if (typeof key === 'number') {
+    return path + '[' + key + ']';
+  } else if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+    return path ? path + '.' + key : key;
+  } else {
+    return path + '[' + JSON.stringify(key) + ']';
+  }
+}
+
+// why a value that isn't an array, a plain object, a `Map`, a `Set` or
+// implementing the parallel API can't be sent to a worker, or null if it can
+function unserializableReason(value) {
+  if (value === null || value instanceof RegExp || value instanceof Date) {
+    return null;
+  }
+
+  switch (typeof value) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+    case 'undefined':
+      return null;
+    case 'symbol':
+      return 'is the symbol `' + String(value) + '`';
+    case 'function':
+      return (value.name ? 'is the function `' + value.name + '`' : 'is an anonymous function') +
+        ', which has no `_parallelBabel` to build it in a worker from';
+    case 'object': {
+      let constructor = value.constructor;
+      let name = typeof constructor === 'function' && constructor.name;
 
-  for (let i = 0; i < callbacks.length; i++) {
-    let callback = options[callbacks[i]];
-    if (implementsParallelAPI(callback) === false) {
-      isParallelizable = false;
-      errors.push(humanizePlugin(callback))
+      return (name ? 'is an instance of `' + name + '`' : 'is an instance of a class') +
+        ', which loses its prototype in a worker';
     }
+    default:
+      return 'is a ' + typeof value + ', which can not be sent to a worker';
+  }
+}
+
+function isPlainObject(value) {
+  if (typeof value !== 'object' || value === null) {
+    return false;
   }
 
-  return { isParallelizable, errors };
+  let prototype = Object.getPrototypeOf(value);
+
+  return prototype === Object.prototype || prototype === null;
 }
 
-function transformIsParallelizable(options) {
-  const plugins = pluginsAreParallelizable(options.plugins);
-  const callbacks = callbacksAreParallelizable(options);
+// the values nested in an array, a plain object, a `Map` or a `Set`, with their
+// paths, e.g. `[[value, 'exclude[0]'], ...]`, or null for anything else
+function entriesOf(value, path) {
+  if (Array.isArray(value)) {
+    return value.map((item, i) => [item, joinOptionPath(path, i)]);
+  } else if (value instanceof Map) {
+    let entries = [];
 
-  return {
-    isParallelizable: isSerializable(options),
-    errors: [].concat(plugins.errors, callbacks.errors)
-  };
+    value.forEach((item, key) => {
+      let entryPath = path + '.entries()[' + entries.length / 2 + ']';
+      entries.push([key, entryPath + '[0]'], [item, entryPath + '[1]']);
+    });
+
+    return entries;
+  } else if (value instanceof Set) {
+    let entries = [];
+
+    value.forEach(item => entries.push([item, path + '.values()[' + entries.length + ']']));
+
+    return entries;
+  } else if (isPlainObject(value)) {
+    return Object.keys(value).map(key => [value[key], joinOptionPath(path, key)]);
+  }
+
+  return null;
 }
 
-function humanizePlugin(plugin) {
-  let name, baseDir;
+/*
+ * @private
+ *
+ * @method findUnserializable
+ *
+ * Every value nested in `value` that keeps it from being sent to a worker, as
+ * `{ path, reason }`, where `path` is relative to `value`, e.g.
+ * `plugins[3][1].resolvePath`. With `deriveParallelApi`, functions
+ * `findParallelApiInfo` knows how to build in a worker are fine too.
+ */
+function findUnserializable(value, path, deriveParallelApi) {
+  return collectUnserializable(value, path || '', deriveParallelApi, new Set());
+}
 
-  if (Array.isArray(plugin) && typeof plugin[0] === 'function') {
-    plugin = plugin[0];
+function collectUnserializable(value, path, deriveParallelApi, seen) {
+  if (value === null) {
+    return [];
+  } else if (implementsParallelAPI(value)) {
+    let paramsPath = joinOptionPath(joinOptionPath(path, '_parallelBabel'), 'params');
+
+    return collectUnserializable(value._parallelBabel.params, paramsPath, deriveParallelApi, seen);
+  } else if (parallelApiInfoOf(value, deriveParallelApi)) {
+    return [];
   }
 
-  if (typeof plugin === 'function' || typeof plugin === 'object' && plugin !== null) {
-    if (typeof plugin.name === 'string') {
-      name = plugin.name;
-    }
-    if (typeof plugin.baseDir === 'function') {
-      baseDir = plugin.baseDir();
-    }
+  let entries = entriesOf(value, path);
+
+  if (!entries) {
+    let reason = unserializableReason(value);
+
+    return reason ? [{ path, reason }] : [];
   }
-  const output = `name: ${name || 'unknown'}, location: ${baseDir || 'unknown'}`;
 
-  if (!name && typeof plugin === 'function') {
-    return output + `,\n↓ function source ↓ \n${plugin.toString().substr(0, 200)}\n \n`;
-  } else {
-    return output;
+  if (seen.has(value)) {
+    return [];
   }
+
+  seen.add(value);
+
+  return entries.reduce((found, entry) => {
+    return found.concat(collectUnserializable(entry[0], entry[1], deriveParallelApi, seen));
+  }, []);
+}
+
+// `path` is where `options` are found in the options of this plugin, if they
+// are nested in them
+function transformIsParallelizable(options, path, deriveParallelApi) {
+  const unserializable = findUnserializable(options, path, deriveParallelApi);
+
+  return {
+    isParallelizable: unserializable.length === 0,
+    errors: unserializable.map(value => '`' + value.path + '` ' + value.reason)
+  };
 }
 
 function buildFromParallelApiInfo(parallelApiInfo) {
@@ -150,117 +489,579 @@ function buildFromParallelApiInfo(parallelApiInfo) {
   return requiredStuff;
 }
 
-function deserialize(data) {
+// marks what `serialize` encoded, as it would not survive being sent to a
+// worker as is
+const SERIALIZED_TYPE = '_parallelBabelType';
+
+function encode(type, properties) {
+  let encoded = {};
+
+  encoded[SERIALIZED_TYPE] = type;
+
+  return Object.assign(encoded, properties);
+}
+
+// the object, array, `Map` or `Set` a shared value that is being deserialized
+// is filled into, so that its own entries can refer back to it, or null for
+// values that can only be created as a whole
+function emptyValueFor(data) {
   if (Array.isArray(data)) {
-    const result = [];
-    for (let i =0; i < data.length; i++) {
-      let member = data[i];
-      if (implementsParallelAPI(member)) {
-        result[i] = buildFromParallelApiInfo(member._parallelBabel);
-      } else {
-        result[i] = member;
-      }
-    }
+    return [];
+  } else if (implementsParallelAPI(data) || !isPlainObject(data)) {
+    return null;
+  }
 
-    return result;
-  } else if (typeof data === 'object' && data !== null) {
-    const result = {};
+  switch (data[SERIALIZED_TYPE]) {
+    case undefined: return {};
+    case 'Map':     return new Map();
+    case 'Set':     return new Set();
+    default:        return null;
+  }
+}
 
+// `data` deserialized into `target`, as made by `emptyValueFor`
+function fill(target, data, state) {
+  if (target instanceof Map) {
+    data.entries.forEach(entry => target.set(deserializeValue(entry[0], state), deserializeValue(entry[1], state)));
+  } else if (target instanceof Set) {
+    data.values.forEach(item => target.add(deserializeValue(item, state)));
+  } else {
     Object.keys(data).forEach(key => {
-      let value = data[key];
-      let valueType = typeof value;
+      target[key] = deserializeValue(data[key], state);
+    });
+  }
+
+  return target;
+}
 
-      if (value === undefined || value == null) {
+function decode(data, state) {
+  switch (data[SERIALIZED_TYPE]) {
+    case 'undefined': return undefined;
+    case 'Number':    return Number(data.value);
+    case 'RegExp':    return new RegExp(data.source, data.flags);
+    case 'Date':      return new Date(Number(data.time));
+    case 'Map':
+    case 'Set':       return fill(emptyValueFor(data), data, state);
+    case 'Ref':       return state.refs[data.id];
+    case 'Shared': {
+      let target = emptyValueFor(data.value);
 
-      } else if (implementsParallelAPI(value)) {
-        value = buildFromParallelApiInfo(value._parallelBabel);
-      } else {
-        value = deserialize(value);
+      if (!target) {
+        return (state.refs[data.id] = deserializeValue(data.value, state));
       }
-      result[key] = value;
-    });
 
-    return result;
-  }  else {
+      state.refs[data.id] = target;
+
+      return fill(target, data.value, state);
+    }
+    default:
+      throw new TypeError('broccoli-babel-transpiler: can not deserialize a value of type `' + data[SERIALIZED_TYPE] + '`');
+  }
+}
+
+// builds what `serialize` replaced, and leaves anything else as it is. Values
+// that were shared, or part of a cycle, are again.
+function deserialize(data) {
+  return deserializeValue(data, { refs: Object.create(null), copies: new Map() });
+}
+
+function deserializeValue(data, state) {
+  if (implementsParallelAPI(data)) {
+    return buildFromParallelApiInfo(Object.assign({}, data._parallelBabel, {
+      params: deserializeValue(data._parallelBabel.params, state)
+    }));
+  } else if (isPlainObject(data) && typeof data[SERIALIZED_TYPE] === 'string') {
+    return decode(data, state);
+  } else if (Array.isArray(data) || isPlainObject(data)) {
+    // options that were not serialized can be shared, or contain cycles, too
+    if (!state.copies.has(data)) {
+      let copy = emptyValueFor(data);
+
+      state.copies.set(data, copy);
+      fill(copy, data, state);
+    }
+
+    return state.copies.get(data);
+  } else {
     return data;
   }
 }
 
-const visited = new WeakSet();
-// replace callback functions with objects so they can be transferred to the worker processes
-function serialize(options) {
-  let optionsType = typeof options;
+// whether a value is copied, rather than sent as it is
+function isReference(value) {
+  return value !== null && (typeof value === 'object' || typeof value === 'function');
+}
+
+// how many times every object, array and function is found in `value`
+function countReferences(value, counts) {
+  if (!isReference(value)) {
+    return counts;
+  }
 
-  if (optionsType === 'object' ||
-    optionsType === 'function' ||
-    Array.isArray(options)) {
+  counts.set(value, (counts.get(value) || 0) + 1);
 
-    if (visited.has(options)) {
-      // a cycle, so simply reuse
-      return options;
-    } else {
-      if (implementsParallelAPI(options)) {
-        options = {
-          _parallelBabel: options._parallelBabel
-        };
+  if (counts.get(value) === 1) {
+    let entries = implementsParallelAPI(value) ? [[value._parallelBabel.params]] : (entriesOf(value, '') || []);
+
+    entries.forEach(entry => countReferences(entry[0], counts));
+  }
+
+  return counts;
+}
+
+/*
+ * @private
+ *
+ * @method serialize
+ *
+ * Replaces callback functions with objects so they can be transferred to the
+ * worker processes, deriving how to build them when `deriveParallelApi` is
+ * true, and encodes `undefined`, `NaN`, `Infinity`, `RegExp`, `Date`, `Map`
+ * and `Set` so that `deserialize` can restore them. Values found more than
+ * once, as when two plugins share a config object or in a cycle, are encoded
+ * once and referred to after that. Throws for anything else a worker would get
+ * a different value for.
+ */
+function serialize(options, deriveParallelApi) {
+  return serializeValue(options, '', deriveParallelApi, {
+    counts: countReferences(options, new Map()),
+    ids: new Map()
+  });
+}
+
+function serializeValue(value, path, deriveParallelApi, state) {
+  if (!isReference(value) || state.counts.get(value) === 1) {
+    return serializeOwnValue(value, path, deriveParallelApi, state);
+  }
+
+  if (state.ids.has(value)) {
+    return encode('Ref', { id: state.ids.get(value) });
+  }
+
+  let id = state.ids.size;
+
+  state.ids.set(value, id);
+
+  return encode('Shared', { id, value: serializeOwnValue(value, path, deriveParallelApi, state) });
+}
+
+function serializeOwnValue(value, path, deriveParallelApi, state) {
+  let serializeEntry = entry => serializeValue(entry[0], entry[1], deriveParallelApi, state);
+
+  if (value === undefined) {
+    return encode('undefined', {});
+  } else if (typeof value === 'number' && !isFinite(value)) {
+    return encode('Number', { value: String(value) });
+  } else if (value instanceof RegExp) {
+    let string = String(value);
+
+    return encode('RegExp', { source: value.source, flags: string.slice(string.lastIndexOf('/') + 1) });
+  } else if (value instanceof Date) {
+    return encode('Date', { time: String(value.getTime()) });
+  } else if (value instanceof Set) {
+    return encode('Set', { values: entriesOf(value, path).map(serializeEntry) });
+  } else if (value instanceof Map) {
+    let entries = entriesOf(value, path).map(serializeEntry);
+    let pairs = [];
+
+    for (let i = 0; i < entries.length; i += 2) {
+      pairs.push([entries[i], entries[i + 1]]);
+    }
+
+    return encode('Map', { entries: pairs });
+  }
+
+  let parallelApiInfo = isReference(value) && parallelApiInfoOf(value, deriveParallelApi);
+
+  if (parallelApiInfo) {
+    let paramsPath = joinOptionPath(joinOptionPath(path, '_parallelBabel'), 'params');
+    let serialized = Object.assign({}, parallelApiInfo);
+
+    if ('params' in parallelApiInfo) {
+      serialized.params = serializeValue(parallelApiInfo.params, paramsPath, deriveParallelApi, state);
+    }
+
+    return { _parallelBabel: serialized };
+  }
+
+  let reason = unserializableReason(value);
+
+  if (reason && !Array.isArray(value) && !isPlainObject(value)) {
+    throw new TypeError('broccoli-babel-transpiler: can not send `' + (path || 'options') + '` to a worker, it ' + reason);
+  }
+
+  if (!isReference(value)) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return entriesOf(value, path).map(serializeEntry);
+  }
+
+  let serialized = {};
+
+  Object.keys(value).forEach(key => {
+    serialized[key] = serializeValue(value[key], joinOptionPath(path, key), deriveParallelApi, state);
+  });
+
+  return serialized;
+}
+
+/*
+ * @private
+ *
+ * @method recycleWorker
+ *
+ * Retires the worker that just finished a task once it transpiled
+ * `buildOptions.workerMaxTransforms` files, or the memory it reports passed
+ * `buildOptions.workerMaxMemory` bytes. It still finishes any task it was
+ * given in the meantime, and the pool starts a fresh one as needed.
+ *
+ * workerpool has no API to retire a single worker, so this relies on its
+ * internals. When they aren't there, workers are not recycled, which is
+ * reported once per pool.
+ */
+function recycleWorker(entry, pool, stats, buildOptions) {
+  const maxTransforms = buildOptions && buildOptions.workerMaxTransforms;
+  const maxMemory = buildOptions && buildOptions.workerMaxMemory;
+  const logger = (buildOptions && buildOptions.console) || console;
+  const exhausted = (maxTransforms > 0 && stats.transforms >= maxTransforms) ||
+    (maxMemory > 0 && stats.memory >= maxMemory);
+
+  if (!(maxTransforms > 0 || maxMemory > 0)) {
+    return;
+  }
+
+  if (typeof pool._removeWorker !== 'function' || !Array.isArray(pool.workers)) {
+    if (!entry.warnedAboutRecycling) {
+      entry.warnedAboutRecycling = true;
+      logger.warn('broccoli-babel-transpiler: this version of workerpool does not allow retiring a worker, ' +
+        '`workerMaxTransforms` and `workerMaxMemory` are ignored');
+    }
+
+    return;
+  }
+
+  if (!exhausted) {
+    return;
+  }
+
+  // find the worker that ran the task by its ID, and remove it the way the
+  // pool does when it crashes
+  let worker = workersOf(pool).filter(handler => workerIdOf(handler) === stats.id)[0];
+
+  if (worker) {
+    _logger.info('recycling worker ' + stats.id + ' after ' + stats.transforms + ' transforms, at ' + stats.memory + ' bytes');
+    pool._removeWorker(worker);
+  }
+}
+
+function isBatched(string, buildOptions) {
+  const batchSize = buildOptions && buildOptions.batchSize;
+  const maxFileSize = (buildOptions && buildOptions.batchMaxFileSize) || DEFAULT_BATCH_MAX_FILE_SIZE;
+
+  return batchSize > 1 && string.length <= maxFileSize;
+}
+
+/*
+ * @private
+ *
+ * @method execInBatch
+ *
+ * Collects files for the same pool and sends them to a worker in one message,
+ * once `buildOptions.batchSize` of them are waiting, or once nothing else was
+ * queued in the same turn of the event loop. A batch gets
+ * `buildOptions.transformTimeout` for each of its files.
+ */
+function execInBatch(babelCorePath, params, buildOptions) {
+  const globalPoolID = getWorkerPoolID(babelCorePath, buildOptions.jobs, buildOptions.workerType);
+
+  if (!batches[globalPoolID]) {
+    batches[globalPoolID] = {
+      babelCorePath,
+      buildOptions,
+      items: [],
+      timer: setImmediate(() => flushBatch(globalPoolID))
+    };
+  }
+
+  let batch = batches[globalPoolID];
+
+  return new Promise((resolve, reject) => {
+    batch.items.push({ params, resolve, reject });
+
+    if (batch.items.length >= buildOptions.batchSize) {
+      flushBatch(globalPoolID);
+    }
+  });
+}
+
+function flushBatch(globalPoolID) {
+  let batch = batches[globalPoolID];
+  let items = batch.items;
+  let buildOptions = batch.buildOptions;
+
+  if (buildOptions.transformTimeout > 0) {
+    buildOptions = Object.assign({}, buildOptions, {
+      transformTimeout: buildOptions.transformTimeout * items.length
+    });
+  }
+
+  clearImmediate(batch.timer);
+  delete batches[globalPoolID];
+
+  execInWorkerPool(batch.babelCorePath, 'transformBatch', [items.map(item => item.params)], buildOptions).then(results => {
+    results.forEach((result, i) => {
+      if (result.error) {
+        items[i].reject(Object.assign(new Error(result.error.message), result.error));
+      } else {
+        items[i].resolve(result.result);
       }
-      visited.add(options);
+    });
+  }, error => {
+    items.forEach(item => item.reject(error));
+  });
+}
+
+/*
+ * @private
+ *
+ * @method registerOptions
+ *
+ * Splits the options of a file into the part it shares with other files,
+ * serialized and identified by a hash of its contents, and the part that is
+ * its own. Workers build the plugins of the shared part once and keep them
+ * under that hash, so once every worker has them a file only needs to carry
+ * the hash.
+ *
+ * The files of a build share the very same values, so a shared part made of
+ * the values of one registered recently is not serialized again. Options are
+ * not expected to be changed in place once they were used.
+ */
+function registerOptions(babelOptions, deriveParallelApi) {
+  let shared = {};
+  let fileOptions = {};
+
+  Object.keys(babelOptions).forEach(key => {
+    if (PER_FILE_OPTIONS.indexOf(key) > -1) {
+      fileOptions[key] = babelOptions[key];
+    } else {
+      shared[key] = babelOptions[key];
     }
+  });
+
+  let registration = registrations.filter(entry => {
+    return entry.deriveParallelApi === deriveParallelApi && haveSameValues(entry.shared, shared);
+  })[0];
 
+  if (registration) {
+    registrations.splice(registrations.indexOf(registration), 1);
   } else {
-    return options;
+    let options = serialize(shared, deriveParallelApi);
+
+    registration = {
+      shared,
+      deriveParallelApi,
+      key: crypto.createHash('md5').update(JSON.stringify(options), 'utf8').digest('hex'),
+      options
+    };
   }
 
-  const serialized = Array.isArray(options) ? [] : {};
+  registrations.unshift(registration);
+  registrations.splice(MAX_REGISTRATIONS);
+
+  return {
+    key: registration.key,
+    options: registration.options,
+    fileOptions
+  };
+}
+
+// whether two objects have the same keys, with identical values
+function haveSameValues(a, b) {
+  let keys = Object.keys(a);
+
+  return keys.length === Object.keys(b).length && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && a[key] === b[key]);
+}
 
-  Object.keys(options).forEach(key => {
-    let value = options[key];
+// the error a worker rejects a file with when it was sent the hash of options
+// it doesn't know yet, see `lib/worker.js`
+function isUnregisteredOptions(error) {
+  return error && error.code === 'UNREGISTERED_OPTIONS';
+}
+
+// whether every running worker of the pool reported knowing the options under
+// `key`. Workers started after that ask for the options themselves.
+function optionsAreRegistered(key, buildOptions) {
+  let entry = getWorkerPoolEntry(buildOptions && buildOptions.babelCorePath, buildOptions && buildOptions.jobs, buildOptions && buildOptions.workerType);
+  let workers = workersOf(entry.pool);
+
+  return workers.length > 0 && workers.every(handler => {
+    let options = entry.workerOptions[workerIdOf(handler)];
+
+    return !!options && options.indexOf(key) > -1;
+  });
+}
+
+// sends a file to a worker, along with the options it uses when `withOptions`
+// is true, or only with their hash otherwise
+function execTransform(string, registration, buildOptions, withOptions) {
+  const babelCorePath = buildOptions && buildOptions.babelCorePath;
+  let params = [string, registration.key, registration.fileOptions];
+
+  if (withOptions) {
+    // threads can't be given the path of the Babel core when they start, so
+    // it is registered along with the options
+    params.push(registration.options, babelCorePath || DEFAULT_BABEL_CORE_PATH);
+  }
 
-    if (value === options) {
-      throw new TypeError('Babel Plugins contain a cycle');
+  if (isBatched(string, buildOptions)) {
+    return execInBatch(babelCorePath, params, buildOptions);
+  } else {
+    return execInWorkerPool(babelCorePath, 'transform', params, buildOptions);
+  }
+}
+
+// the error workerpool rejects a task with when its worker exits mid-task
+function isWorkerCrash(error) {
+  return !!error && /^Workerpool Worker terminated Unexpectedly/.test(error.message);
+}
+
+function isTimeout(error) {
+  return error instanceof workerpool.Promise.TimeoutError;
+}
+
+// a short name for a plugin, for messages
+function pluginName(plugin) {
+  if (Array.isArray(plugin)) {
+    plugin = plugin[0];
+  }
+
+  if (typeof plugin === 'string') {
+    return plugin;
+  } else if (implementsParallelAPI(plugin)) {
+    return plugin._parallelBabel.requireFile;
+  } else if (plugin && typeof plugin.name === 'string' && plugin.name) {
+    return plugin.name;
+  }
+
+  return 'unknown';
+}
+
+function describePlugins(babelOptions) {
+  return '(plugins: ' + ((babelOptions.plugins || []).map(pluginName).join(', ') || 'none') + ')';
+}
+
+/*
+ * @private
+ *
+ * @method transformInWorker
+ *
+ * When the worker transpiling a file crashes, the file is tried again on
+ * another worker, up to `buildOptions.workerRetries` times (2 by default), and
+ * then in this process.
+ */
+function transformInWorker(string, babelOptions, buildOptions, attempt) {
+  const retries = buildOptions && buildOptions.workerRetries !== undefined ? buildOptions.workerRetries : DEFAULT_WORKER_RETRIES;
+  const logger = (buildOptions && buildOptions.console) || console;
+  const registration = registerOptions(babelOptions, buildOptions && buildOptions.deriveParallelApi);
+
+  let withOptions = !optionsAreRegistered(registration.key, buildOptions);
+
+  let task = execTransform(string, registration, buildOptions, withOptions).catch(error => {
+    if (isUnregisteredOptions(error)) {
+      // the worker that got the file hasn't seen these options yet
+      return execTransform(string, registration, buildOptions, true);
     }
 
-    if (isSerializable(value)) {
-      value = serialize(value);
-    } else {
-      // leave as is
+    throw error;
+  });
+
+  return task.catch(error => {
+    if (isTimeout(error)) {
+      let message = 'broccoli-babel-transpiler: transpiling `' + babelOptions.filename + '` took longer than the `transformTimeout` of ' +
+        buildOptions.transformTimeout + 'ms ' + describePlugins(babelOptions) + ', its worker was replaced';
+
+      throw normalizeTranspileError(new Error(message), string, babelOptions.filename);
+    }
+
+    if (!isWorkerCrash(error)) {
+      throw normalizeTranspileError(error, string, babelOptions.filename);
     }
-    serialized[key] = value;
+
+    let crash = 'broccoli-babel-transpiler: a worker exited unexpectedly while transpiling `' + babelOptions.filename + '` ' + describePlugins(babelOptions);
+
+    if (attempt <= retries) {
+      logger.warn(crash + ', retrying on another worker (' + attempt + ' of ' + retries + ')');
+      return transformInWorker(string, babelOptions, buildOptions, attempt + 1);
+    }
+
+    logger.warn(crash + ', transpiling it in the main process instead');
+    return transformInMainThread(string, babelOptions, buildOptions);
   });
+}
 
-  return serialized;
+// a transform in this process can't be interrupted, so it only gets a warning
+// when it takes longer than `buildOptions.transformTimeout`
+function transformInMainThread(string, babelOptions, buildOptions) {
+  const babelCorePath = buildOptions && buildOptions.babelCorePath;
+  const timeout = buildOptions && buildOptions.transformTimeout;
+  const logger = (buildOptions && buildOptions.console) || console;
+
+  return new Promise(resolve => {
+    let start = Date.now();
+    let result = getTranspiler(babelCorePath).transform(string, deserialize(babelOptions));
+    let duration = Date.now() - start;
+
+    if (timeout > 0 && duration > timeout) {
+      logger.warn('broccoli-babel-transpiler: transpiling `' + babelOptions.filename + '` took ' + duration + 'ms, longer than the `transformTimeout` of ' +
+        timeout + 'ms ' + describePlugins(babelOptions));
+    }
+
+    resolve(result);
+  }).catch(error => {
+    throw normalizeTranspileError(error, string, babelOptions.filename);
+  });
 }
 
 function transformString(string, babelOptions, buildOptions) {
-  const isParallelizable = transformIsParallelizable(babelOptions).isParallelizable;
-  if (JOBS > 1 && isParallelizable) {
-    let pool = getWorkerPool();
+  const deriveParallelApi = buildOptions && buildOptions.deriveParallelApi;
+  const isParallelizable = transformIsParallelizable(babelOptions, '', deriveParallelApi).isParallelizable;
+  const jobs = (buildOptions && buildOptions.jobs) || JOBS;
+
+  if (jobs > 1 && isParallelizable) {
     _logger.info('transformString is parallelizable');
-    return pool.exec('transform', [string, serialize(babelOptions)]);
+    return transformInWorker(string, babelOptions, buildOptions, 1);
   } else {
-    if (JOBS <= 1) {
-      _logger.info('JOBS <= 1, skipping worker, using main thread');
+    if (jobs <= 1) {
+      _logger.info('jobs <= 1, skipping worker, using main thread');
     } else {
       _logger.info('transformString is NOT parallelizable');
     }
 
-    return new Promise(resolve => {
-      resolve(transpiler.transform(string, deserialize(babelOptions)));
-    });
+    return transformInMainThread(string, babelOptions, buildOptions);
   }
 }
 
 module.exports = {
   jobs: JOBS,
   getBabelVersion,
+  getBabelCorePackage,
+  getTranspiler,
+  getWorkerPoolID,
+  getWorkerPool,
+  hasWorkerThreads,
+  retainWorkerPool,
+  releaseWorkerPool,
+  terminateWorkerPool,
+  terminateWorkerPools,
   implementsParallelAPI,
   isSerializable,
-  pluginsAreParallelizable,
-  callbacksAreParallelizable,
+  findUnserializable,
   transformIsParallelizable,
   deserialize,
   serialize,
+  registerOptions,
   buildFromParallelApiInfo,
-  transformString,
-  humanizePlugin
+  transformString
 };
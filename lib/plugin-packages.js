@@ -0,0 +1,198 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const resolve = require('resolve');
+const hashForDep = require('hash-for-dep');
+
+// the names Babel 7 turns plugin and preset names into, see `standardizeName`
+// in @babel/core
+function standardizeName(name, type) {
+  return name
+    .replace(new RegExp('^(?!@|module:|[^/]+/|babel-' + type + '-)'), 'babel-' + type + '-')
+    .replace(new RegExp('^(@babel/)(?!' + type + '-|[^/]+/)'), '$1' + type + '-')
+    .replace(new RegExp('^(@(?!babel/)[^/]+/)(?![^/]*babel-' + type + '(?:-|/|$)|[^/]+/)'), '$1babel-' + type + '-')
+    .replace(/^(@(?!babel$)[^/]+)$/, '$1/babel-' + type)
+    .replace(/^module:/, '');
+}
+
+function isPath(name) {
+  return path.isAbsolute(name) || /^\.\.?(\/|$)/.test(name);
+}
+
+/*
+ * @method possibleNames
+ * @param {String} name a plugin or preset name, as in the `plugins` or
+ *   `presets` option
+ * @param {String} type either 'plugin' or 'preset'
+ * @param {Number} babelMajorVersion
+ * @returns the names Babel tries to require for `name`, in order
+ */
+function possibleNames(name, type, babelMajorVersion) {
+  if (isPath(name)) {
+    return [name];
+  } else if (babelMajorVersion >= 7) {
+    return [standardizeName(name, type)];
+  }
+
+  let names = ['babel-' + type + '-' + name, name];
+  let matches = name.match(/^(@[^/]+)\/(.+)$/);
+
+  if (type === 'preset' && matches) {
+    names.push(matches[1] + '/babel-preset-' + matches[2]);
+  }
+
+  return names;
+}
+
+// the root of the package `file` belongs to, skipping package.json files
+// without a name, which only configure a directory of a package
+function packageRootOf(file) {
+  let dir = path.dirname(file);
+
+  while (true) {
+    let packageJSONPath = path.join(dir, 'package.json');
+
+    if (fs.existsSync(packageJSONPath) && require(packageJSONPath).name) {
+      return dir;
+    }
+
+    let parent = path.dirname(dir);
+
+    if (parent === dir) {
+      return null;
+    }
+
+    dir = parent;
+  }
+}
+
+/*
+ * @method resolvePackage
+ * @param {String} name a plugin or preset name, as in the `plugins` or
+ *   `presets` option
+ * @param {String} type either 'plugin' or 'preset'
+ * @param {Number} babelMajorVersion
+ * @param {String} basedir the directory to resolve `name` from
+ * @returns `{ file, root }`, where `file` is what Babel will require for
+ *   `name` and `root` the package it belongs to, or null for a path outside of
+ *   any package
+ */
+function resolvePackage(name, type, babelMajorVersion, basedir) {
+  let names = possibleNames(name, type, babelMajorVersion);
+
+  for (let i = 0; i < names.length; i++) {
+    let file;
+
+    try {
+      file = resolve.sync(names[i], { basedir });
+    } catch (e) {
+      if (e.code === 'MODULE_NOT_FOUND') {
+        continue;
+      }
+
+      throw e;
+    }
+
+    return { file, root: isPath(name) ? null : packageRootOf(file) };
+  }
+
+  throw new Error('broccoli-babel-transpiler: could not find the ' + type + ' `' + name + '` to compute the cache key, looked for ' +
+    names.map(name => '`' + name + '`').join(', ') + ' from ' + basedir);
+}
+
+function hashContents(file) {
+  return crypto.createHash('md5').update(fs.readFileSync(file)).digest('hex');
+}
+
+/*
+ * @method hashForPackage
+ * @returns a hash that changes whenever the package the plugin or preset
+ *   `name` resolves to is, like `hashForDep` does for `baseDir`. A plugin given
+ *   as a path is hashed by the contents of its file instead.
+ */
+function hashForPackage(name, type, babelMajorVersion, basedir) {
+  let resolved = resolvePackage(name, type, babelMajorVersion, basedir);
+
+  if (resolved.root) {
+    return hashForDep(resolved.root);
+  }
+
+  return hashContents(resolved.file);
+}
+
+// the files `file` requires with a relative path, as far as the literal
+// `require()` calls in its source tell
+function localRequiresOf(file, contents) {
+  let pattern = /\brequire\(\s*(['"])(\.\.?(?:\/[^'"]*)?)\1\s*\)/g;
+  let requires = [];
+  let match;
+
+  while ((match = pattern.exec(contents)) !== null) {
+    try {
+      requires.push(resolve.sync(match[2], { basedir: path.dirname(file) }));
+    } catch (e) {
+      // it would fail to load in the workers just the same
+    }
+  }
+
+  return requires;
+}
+
+// hashes `file` along with every file it requires with a relative path, and so
+// on, each of them once
+function hashLocalRequires(file) {
+  let hash = crypto.createHash('md5');
+  let seen = new Set();
+  let visit = file => {
+    if (seen.has(file)) {
+      return;
+    }
+
+    seen.add(file);
+
+    let contents = fs.readFileSync(file);
+
+    hash.update(contents);
+    localRequiresOf(file, contents.toString('utf8')).forEach(visit);
+  };
+
+  visit(file);
+
+  return hash.digest('hex');
+}
+
+/*
+ * @method hashForFile
+ * @param {String} file a `requireFile`, anything `require.resolve` understands
+ * @param {String} basedir the root of the project
+ * @returns a hash that changes with the package `file` belongs to, like
+ *   `hashForDep` does for `baseDir`, or, when that package is the project
+ *   itself, with the contents of `file` and of the files it requires with a
+ *   relative path
+ */
+function hashForFile(file, basedir) {
+  let resolved;
+
+  try {
+    resolved = require.resolve(file);
+  } catch (e) {
+    throw new Error('broccoli-babel-transpiler: could not find the file `' + file + '` to compute the cache key: ' + e.message);
+  }
+
+  let root = packageRootOf(resolved);
+
+  if (root && path.relative(root, basedir).indexOf('..') === 0) {
+    return hashForDep(root);
+  }
+
+  return hashLocalRequires(resolved);
+}
+
+module.exports = {
+  hashForFile,
+  hashForPackage,
+  possibleNames,
+  resolvePackage
+};
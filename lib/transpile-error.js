@@ -0,0 +1,58 @@
+'use strict';
+
+const codeFrame = require('babel-code-frame');
+
+/*
+ * Gives an error thrown while transpiling the same shape, whether Babel threw
+ * it in this process or workerpool rebuilt it from what a worker sent back.
+ *
+ * @param {Error} error
+ * @param {String} source the code that was being transpiled
+ * @param {String} filename the `filename` Babel was given
+ * @returns the same error, with `file`, `line`, `column` (0-based, like Babel
+ *   reports it), `codeFrame` and `plugin`, each `null` when not known
+ */
+function normalizeTranspileError(error, source, filename) {
+  let loc = error.loc || locationFromMessage(error.message);
+
+  error.file = filename || null;
+  error.line = loc ? loc.line : null;
+  error.column = loc ? loc.column : null;
+  error.codeFrame = error.codeFrame || (loc && source ? codeFrame(source, loc.line, loc.column + 1) : null);
+  error.plugin = error.plugin || error.pluginName || null;
+
+  return error;
+}
+
+// Babel's syntax errors end their message in `(line:column)`
+function locationFromMessage(message) {
+  let match = /\((\d+):(\d+)\)$/.exec((message || '').split('\n')[0]);
+
+  return match ? { line: Number(match[1]), column: Number(match[2]) } : null;
+}
+
+/*
+ * @param {Array} errors the errors of every file that failed to transpile
+ * @param {String} label what to call the plugin in the message
+ * @returns one error that lists all of `errors`, by file, and has them as
+ *   `errors`
+ */
+function aggregateTranspileErrors(errors, label) {
+  let sorted = errors.slice().sort((a, b) => {
+    return String(a.file) < String(b.file) ? -1 : String(a.file) > String(b.file) ? 1 : 0;
+  });
+
+  let details = sorted.map(error => {
+    return error.codeFrame ? error.message.split('\n')[0] + '\n' + error.codeFrame : error.message;
+  });
+
+  let error = new Error(label + ': ' + errors.length + ' file(s) failed to transpile:\n\n' + details.join('\n\n'));
+  error.errors = sorted;
+
+  return error;
+}
+
+module.exports = {
+  aggregateTranspileErrors,
+  normalizeTranspileError
+};
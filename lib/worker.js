@@ -1,22 +1,139 @@
 'use strict';
 
-const transpiler = require('babel-core');
 const workerpool = require('workerpool');
 const Promise = require('rsvp').Promise;
 const ParallelApi = require('./parallel-api');
 
-// transpile the input string, using the input options
-function transform(string, options) {
+// set when this worker is a thread rather than a process
+const workerThreads = requireWorkerThreads();
+
+// how many files this worker transpiled, so the pool can retire it
+let transforms = 0;
+
+// the options registered by the main process, with their plugins built and
+// the Babel core they are for, by their hash, least recently used first
+const registeredOptions = Object.create(null);
+
+// how many options a worker keeps. Each one holds on to its plugins, and the
+// options of a long-lived process keep changing as its config does.
+const MAX_REGISTERED_OPTIONS = 32;
+
+function requireWorkerThreads() {
+  try {
+    let workerThreads = require('worker_threads');
+    return workerThreads.isMainThread ? null : workerThreads;
+  } catch (e) {
+    return null;
+  }
+}
+
+// threads share the process ID of the main process
+function workerId() {
+  return workerThreads ? 'thread ' + workerThreads.threadId : String(process.pid);
+}
+
+// the options registered under `key`, registering `options` first when given
+// and not known yet. Files only carry the hash of options the main process
+// expects this worker to know, so it asks again with the options when it
+// doesn't.
+function registrationFor(key, options, babelCorePath) {
+  let registration = registeredOptions[key];
+
+  if (options && !registration) {
+    registration = {
+      transpiler: ParallelApi.getTranspiler(babelCorePath),
+      options: ParallelApi.deserialize(options)
+    };
+  }
+
+  if (!registration) {
+    let error = new Error('broccoli-babel-transpiler: the options `' + key + '` are not registered with worker ' + workerId());
+    error.code = 'UNREGISTERED_OPTIONS';
+    throw error;
+  }
+
+  // keep the options in the order they were last used in, and forget the
+  // ones that weren't for the longest. The main process sends them again when
+  // it needs them, as they are no longer in `stats().options`.
+  delete registeredOptions[key];
+  registeredOptions[key] = registration;
+
+  let keys = Object.keys(registeredOptions);
+
+  keys.slice(0, Math.max(keys.length - MAX_REGISTERED_OPTIONS, 0)).forEach(unused => delete registeredOptions[unused]);
+
+  return registration;
+}
+
+function transpile(string, key, fileOptions, options, babelCorePath) {
+  let registration = registrationFor(key, options, babelCorePath);
+  let result = registration.transpiler.transform(string, Object.assign({}, registration.options, fileOptions));
+
+  transforms++;
+
+  // only what the main process uses: the AST is large, and the options hold
+  // plugins, which a thread can't send back at all
+  return {
+    code: result.code,
+    map: result.map,
+    metadata: result.metadata
+  };
+}
+
+// the memory of a thread is the heap it uses, as it shares the rest of the
+// process with every other thread
+function stats() {
+  let memoryUsage = process.memoryUsage();
+
+  return {
+    id: workerId(),
+    transforms,
+    memory: workerThreads ? memoryUsage.heapUsed : memoryUsage.rss,
+    options: Object.keys(registeredOptions)
+  };
+}
+
+// workerpool only keeps the own properties of the error a task fails with, and
+// only for the task itself
+function serializeError(error) {
+  return Object.getOwnPropertyNames(error).reduce((serialized, name) => {
+    serialized[name] = error[name];
+    return serialized;
+  }, {});
+}
+
+// transpile the input string, using the options registered under `key` and
+// those of the file itself
+function transform(string, key, fileOptions, options, babelCorePath) {
+  return new Promise(resolve => {
+    resolve({
+      result: transpile(string, key, fileOptions, options, babelCorePath),
+      worker: stats()
+    });
+  });
+}
+
+// transpile files given as the arguments of `transform` in one go, each
+// succeeding or failing on its own
+function transformBatch(files) {
   return new Promise(resolve => {
-    let result = transpiler.transform(string, ParallelApi.deserialize(options));
-    // this is large, not used, and can't be serialized anyway
-    delete result.ast;
+    let results = files.map(file => {
+      try {
+        return { result: transpile.apply(null, file) };
+      } catch (error) {
+        return { error: serializeError(error) };
+      }
+    });
 
-    resolve(result);
+    resolve({
+      result: results,
+      worker: stats()
+    });
   });
 }
 
 // create worker and register public functions
 workerpool.worker({
-  transform: transform
+  transform: transform,
+  transformBatch: transformBatch
 });
@@ -0,0 +1,17 @@
+"use strict";
+
+// stands in for @babel/core: delegates to babel-core, but rejects the options
+// Babel 7 removed and marks its output so tests can tell which core ran
+var babel = require('babel-core');
+
+module.exports = {
+  transform(code, options) {
+    if ('sourceMapTarget' in options) {
+      throw new Error('Unknown option: .sourceMapTarget');
+    }
+
+    var result = babel.transform(code, options);
+    result.code = '/* babel-core-7 */\n' + result.code;
+    return result;
+  }
+};
@@ -0,0 +1,5 @@
+"use strict";
+
+// babel-core under another path, so tests get a worker pool that no other
+// test retains
+module.exports = require('babel-core');
@@ -0,0 +1,2 @@
+var comment = 1;
+//# sourceMappingURL=maps/comment.map
@@ -0,0 +1,3 @@
+var sibling = 1;
+
+var other = sibling + 1;
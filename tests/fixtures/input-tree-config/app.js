@@ -0,0 +1 @@
+const app = 0;
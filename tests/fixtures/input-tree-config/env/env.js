@@ -0,0 +1 @@
+const env = 0;
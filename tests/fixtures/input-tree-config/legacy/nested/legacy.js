@@ -0,0 +1 @@
+const legacy = 0;
@@ -0,0 +1,5 @@
+import Ember from 'ember';
+import a from './a';
+import missing from './missing';
+
+export default Ember.Object.extend({ a, missing });
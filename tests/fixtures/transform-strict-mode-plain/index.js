@@ -0,0 +1,19 @@
+"use strict";
+
+var pluginFunction = require('babel-plugin-transform-strict-mode');
+
+// plugins as most packages export them, without `_parallelBabel`
+function strictMode(babel) {
+  return pluginFunction(babel);
+}
+
+function namedStrictMode(babel) {
+  return pluginFunction(babel);
+}
+
+strictMode.baseDir = namedStrictMode.baseDir = function() {
+  return __dirname;
+};
+
+module.exports = strictMode;
+module.exports.named = namedStrictMode;
@@ -0,0 +1,18 @@
+"use strict";
+
+var pluginFunction = require('babel-plugin-transform-strict-mode');
+
+// crashes any worker process it runs in, but works in the main process
+module.exports = {
+  name: 'transform-strict-mode',
+
+  buildMeAFunction(options) {
+    return function(babel) {
+      if (process.send) {
+        process.exit(1);
+      }
+
+      return pluginFunction(babel);
+    };
+  }
+};
@@ -0,0 +1,20 @@
+"use strict";
+
+var pluginFunction = require('babel-plugin-transform-strict-mode');
+
+// never finishes in a worker process, and is slow in the main process
+module.exports = {
+  name: 'transform-strict-mode',
+
+  buildMeAFunction(options) {
+    return function(babel) {
+      var start = Date.now();
+
+      while (process.send || Date.now() - start < options.delay) {
+        // busy
+      }
+
+      return pluginFunction(babel);
+    };
+  }
+};
@@ -6,7 +6,7 @@ const expect = require('chai').expect;
 const path = require('path');
 const Babel = require('../');
 const helpers = require('broccoli-test-helpers');
-const terminateWorkerPool = require('./utils/terminate-workers');
+const terminateWorkerPools = require('../lib/parallel-api').terminateWorkerPools;
 const makeTestHelper = helpers.makeTestHelper;
 const cleanupBuilders = helpers.cleanupBuilders;
 
@@ -54,7 +54,7 @@ describe('large operations', function() {
     });
 
     fs.rmdirSync(inputTreePath);
-    return terminateWorkerPool();
+    return terminateWorkerPools();
   });
 
   it('handles thousands of files', function () {
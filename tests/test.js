@@ -1,5 +1,6 @@
 'use strict';
 
+const crypto = require('crypto');
 const fs = require('fs');
 const os = require('os');
 const expect = require('chai').expect;
@@ -9,17 +10,20 @@ const Babel = require('../');
 const helpers = require('broccoli-test-helpers');
 const stringify = require('json-stable-stringify');
 const mkdirp = require('mkdirp').sync;
+const hashForDep = require('hash-for-dep');
 const makeTestHelper = helpers.makeTestHelper;
 const cleanupBuilders = helpers.cleanupBuilders;
 const RSVP = require('rsvp');
 const Promise = RSVP.Promise;
 const moduleResolve = require('amd-name-resolver').moduleResolve;
-const terminateWorkerPool = require('./utils/terminate-workers');
+const terminateWorkerPools = require('../lib/parallel-api').terminateWorkerPools;
 
 const inputPath = path.join(__dirname, 'fixtures');
 const expectations = path.join(__dirname, 'expectations');
 
 let ParallelApi = require('../lib/parallel-api');
+const ConfigFiles = require('../lib/config-files').ConfigFiles;
+const pluginPackages = require('../lib/plugin-packages');
 
 function moduleResolveParallel() { }
 
@@ -71,26 +75,6 @@ describe('options', function() {
     delete process.env.THROW_UNLESS_PARALLELIZABLE;
   });
 
-  describe('humanizePlugin', function() {
-    const humanizePlugin = ParallelApi.humanizePlugin;
-
-    it('works', function() {
-      expect(humanizePlugin({})).to.eql('name: unknown, location: unknown');
-      expect(humanizePlugin({ name: '' })).to.eql('name: unknown, location: unknown');
-      expect(humanizePlugin({ name: false })).to.eql('name: unknown, location: unknown');
-      expect(humanizePlugin({ name: true })).to.eql('name: unknown, location: unknown');
-      expect(humanizePlugin({ name: 'foo' })).to.eql('name: foo, location: unknown');
-      expect(humanizePlugin({ name: 'foo', baseDir() { return '/a/b/c/'; } })).to.eql('name: foo, location: /a/b/c/');
-      expect(humanizePlugin(function Foo() { })).to.eql('name: Foo, location: unknown');
-      function Bar() { }
-      Bar.baseDir = function() { return 'orange'; };
-      expect(humanizePlugin(Bar)).to.eql('name: Bar, location: orange');
-      expect(humanizePlugin(() => {})).to.eql('name: unknown, location: unknown,\n↓ function source ↓ \n() => {}\n \n');
-      expect(humanizePlugin([function Apple() {}])).to.eql('name: Apple, location: unknown');
-      expect(humanizePlugin([Bar])).to.eql('name: Bar, location: orange');
-    });
-  });
-
   describe('throwUnlessParallelizable', function() {
     const EXPECTED_PARALLEL_ERROR = /broccoli-persistent-filter:Babel./;
 
@@ -159,6 +143,54 @@ describe('options', function() {
 
       expect(() => new Babel('foo', options)).to.not.throw();
     });
+    it('should throw if throwUnlessParallelizable: true, and a plugin in an override could not be parallelized', function() {
+      const options = {
+        throwUnlessParallelizable: true,
+        plugins: ['some-plugin'],
+        overrides: [
+          { test: 'vendor/**', options: { plugins: [function() { }] } }
+        ]
+      };
+
+      expect(() => new Babel('foo', options)).to.throw(EXPECTED_PARALLEL_ERROR);
+    });
+
+    it('should NOT throw if throwUnlessParallelizable: true, and plugins are exported by required files', function() {
+      const plugin = require(fixtureFullPath('transform-strict-mode-plain'));
+      const options = {
+        throwUnlessParallelizable: true,
+        plugins: [plugin, [plugin.named, {}]]
+      };
+
+      expect(() => new Babel('foo', options)).to.not.throw();
+    });
+
+    it('should throw if throwUnlessParallelizable: true, and deriveParallelApi: false', function() {
+      const options = {
+        throwUnlessParallelizable: true,
+        deriveParallelApi: false,
+        plugins: [require(fixtureFullPath('transform-strict-mode-plain'))]
+      };
+
+      expect(() => new Babel('foo', options)).to.throw(/`plugins\[0\]` is the function `strictMode`/);
+    });
+
+    it('reports which options could not be parallelized, and why', function() {
+      const options = {
+        throwUnlessParallelizable: true,
+        presets: [
+          ['some-preset', { exclude: function exclude() { } }]
+        ],
+        overrides: [
+          { test: 'vendor/**', options: { plugins: [Symbol('some-plugin')] } }
+        ]
+      };
+
+      expect(() => new Babel('foo', options)).to.throw(
+        /1: `presets\[0\]\[1\]\.exclude` is the function `exclude`, which has no `_parallelBabel`.*\n2: `overrides\[0\]\.options\.plugins\[0\]` is the symbol `Symbol\(some-plugin\)`/
+      );
+    });
+
     it('should NOT throw if throwUnlessParallelizable is unset, and one or more plugins could not be parallelized', function() {
       expect(() => new Babel('foo', { plugins: [function() {}], throwUnlessParallelizable: undefined })).to.not.throw();
       expect(() => new Babel('foo', { plugins: [function() {}]})).to.not.throw();
@@ -220,6 +252,93 @@ describe('options', function() {
     expect(transpilerOptions.moduleId).to.eql('relativePath');
   });
 
+  it('merges matching overrides in order', function() {
+    let transpilerOptions;
+    let babel = new Babel('foo', {
+      foo: 1,
+      bar: 1,
+      overrides: [
+        { test: 'vendor/**', options: { foo: 2, baz: 2 } },
+        { test: ['**/*.legacy.js'], options: { foo: 3 } },
+        { test: /^app\//, options: { bar: 4 } }
+      ]
+    });
+
+    babel.transform = function(string, options) {
+      transpilerOptions = options;
+      return Promise.resolve({ code: {} });
+    };
+
+    babel.processString('path', 'vendor/a.legacy.js');
+
+    expect(transpilerOptions.foo).to.eql(3);
+    expect(transpilerOptions.bar).to.eql(1);
+    expect(transpilerOptions.baz).to.eql(2);
+    expect(transpilerOptions).to.not.have.property('overrides');
+
+    babel.processString('path', 'app/a.js');
+
+    expect(transpilerOptions.foo).to.eql(1);
+    expect(transpilerOptions.bar).to.eql(4);
+    expect(transpilerOptions).to.not.have.property('baz');
+  });
+
+  it('replaces plugins and presets with the ones of matching overrides', function() {
+    let transpilerOptions;
+    let babel = new Babel('foo', {
+      plugins: ['transform-strict-mode', 'transform-es2015-block-scoping'],
+      presets: [{ plugins: ['transform-es2015-classes'] }],
+      overrides: [
+        { test: 'vendor/**', options: { plugins: ['transform-es2015-block-scoping'], presets: [] } }
+      ]
+    });
+
+    babel.transform = function(string, options) {
+      transpilerOptions = options;
+      return Promise.resolve({ code: {} });
+    };
+
+    babel.processString('path', 'vendor/a.js');
+
+    expect(transpilerOptions.plugins).to.eql(['transform-es2015-block-scoping']);
+    expect(transpilerOptions.presets).to.eql([]);
+
+    babel.processString('path', 'app/a.js');
+
+    expect(transpilerOptions.plugins).to.eql(['transform-strict-mode', 'transform-es2015-block-scoping']);
+    expect(transpilerOptions.presets).to.eql([{ plugins: ['transform-es2015-classes'] }]);
+  });
+
+  it('validates externalHelpers', function() {
+    expect(() => new Babel('foo', { externalHelpers: { outputType: 'amd' } })).to.throw(TypeError, /`externalHelpers.outputType` must be one of `global`, `umd` or `var`/);
+  });
+
+  it('validates jobs', function() {
+    expect(() => new Babel('foo', { jobs: 0 })).to.throw(TypeError, /`jobs` must be a positive integer/);
+    expect(() => new Babel('foo', { jobs: '4' })).to.throw(TypeError, /`jobs` must be a positive integer/);
+  });
+
+  it('transpiles as many files at a time as it has jobs', function() {
+    expect(new Babel('foo', { jobs: 8 }).concurrency).to.eql(8);
+    expect(new Babel('foo', { jobs: 8, concurrency: 2 }).concurrency).to.eql(2);
+    expect(new Babel('foo', { jobs: 8, concurrency: 2 }).options).to.not.have.property('concurrency');
+  });
+
+  it('validates workerType', function() {
+    expect(() => new Babel('foo', { workerType: 'fiber' })).to.throw(TypeError, /`workerType` must be either 'process' or 'thread'/);
+  });
+
+  it('validates checkImports', function() {
+    expect(() => new Babel('foo', { checkImports: 'fail' })).to.throw(TypeError, /`checkImports.report` must be `warn` or `error`/);
+    expect(() => new Babel('foo', { checkImports: { report: 'warn', external: [1] } })).to.throw(TypeError, /`checkImports.external` must be a glob/);
+  });
+
+  it('validates overrides', function() {
+    expect(() => new Babel('foo', { overrides: {} })).to.throw(/`overrides` must be an array/);
+    expect(() => new Babel('foo', { overrides: [{ options: {} }] })).to.throw(/`overrides\[0\]\.test` must be a glob/);
+    expect(() => new Babel('foo', { overrides: [{ test: 'a/**' }] })).to.throw(/`overrides\[0\]\.options` must be an object/);
+  });
+
   it('does not propagate filterExtensions', function () {
     let transpilerOptions;
 
@@ -263,7 +382,7 @@ describe('transpile ES6 to ES5', function() {
 
   afterEach(function () {
     return cleanupBuilders()
-      .then(terminateWorkerPool);
+      .then(terminateWorkerPools);
   });
 
   it('basic', function () {
@@ -284,6 +403,30 @@ describe('transpile ES6 to ES5', function() {
     });
   });
 
+  it('basic - derived parallel API', function () {
+    return babel('files', {
+      inputSourceMap: false,
+      sourceMap: false,
+      throwUnlessParallelizable: true,
+      plugins: [
+        require(fixtureFullPath('transform-strict-mode-plain')).named,
+        {
+          _parallelBabel: {
+            requireFile: fixtureFullPath('transform-es2015-block-scoping-parallel'),
+            buildUsing: 'build',
+          }
+        }
+      ]
+    }).then(results => {
+      let outputPath = results.directory;
+
+      let output = fs.readFileSync(path.join(outputPath, 'fixtures.js'), 'utf8');
+      let input = fs.readFileSync(path.join(expectations, 'expected.js'), 'utf8');
+
+      expect(output).to.eql(input);
+    });
+  });
+
   it('basic - parallel API', function () {
     return babel('files', {
       inputSourceMap: false,
@@ -377,6 +520,266 @@ describe('transpile ES6 to ES5', function() {
     });
   });
 
+  it('external source maps', function () {
+    return babel('files', {
+      sourceMaps: 'external',
+      plugins: [
+        'transform-strict-mode',
+        'transform-es2015-block-scoping'
+      ]
+    }).then(results => {
+      let outputPath = results.directory;
+
+      let output = fs.readFileSync(path.join(outputPath, 'fixtures.js'), 'utf8');
+      let input = fs.readFileSync(path.join(expectations, 'expected.js'), 'utf8');
+      let map = JSON.parse(fs.readFileSync(path.join(outputPath, 'fixtures.js.map'), 'utf8'));
+
+      expect(output).to.eql(input + '\n//# sourceMappingURL=fixtures.js.map');
+      expect(map.file).to.eql('fixtures.js');
+      expect(map.sources).to.eql(['fixtures.js']);
+      expect(map.mappings).to.be.a('string').that.is.not.empty;
+    });
+  });
+
+  it('external source maps (in main process)', function () {
+    let pluginFunction = require('babel-plugin-transform-strict-mode');
+    pluginFunction.baseDir = function() {
+      return path.join(__dirname, '../node_modules', 'babel-plugin-transform-strict-mode');
+    };
+    return babel('files', {
+      sourceMap: true,
+      filterExtensions: ['es6'],
+      plugins: [
+        pluginFunction,
+        'transform-es2015-block-scoping'
+      ]
+    }).then(results => {
+      let outputPath = results.directory;
+
+      let output = fs.readFileSync(path.join(outputPath, 'fixtures-es6.js'), 'utf8');
+      let map = JSON.parse(fs.readFileSync(path.join(outputPath, 'fixtures-es6.js.map'), 'utf8'));
+
+      expect(output).to.match(/\n\/\/# sourceMappingURL=fixtures-es6\.js\.map$/);
+      expect(map.sources).to.eql(['fixtures-es6.es6']);
+    });
+  });
+
+  it('external source maps of nested files are relative to where they are', function () {
+    let inputTreePath = path.join(os.tmpdir(), 'broccoli-babel-transpiler-nested-maps');
+    mkdirp(path.join(inputTreePath, 'nested'));
+    fs.writeFileSync(path.join(inputTreePath, 'nested/foo.es6'), 'const foo = 0;');
+
+    return babel(inputTreePath, {
+      sourceMaps: true,
+      filterExtensions: ['es6'],
+      plugins: [ 'transform-strict-mode' ]
+    }).then(results => {
+      let output = fs.readFileSync(path.join(results.directory, 'nested/foo.js'), 'utf8');
+      let map = JSON.parse(fs.readFileSync(path.join(results.directory, 'nested/foo.js.map'), 'utf8'));
+
+      expect(output).to.match(/\n\/\/# sourceMappingURL=foo\.js\.map$/);
+      expect(map.file).to.eql('foo.js');
+      expect(map.sources).to.eql(['foo.es6']);
+    }).finally(() => {
+      fs.unlinkSync(path.join(inputTreePath, 'nested/foo.es6'));
+      fs.rmdirSync(path.join(inputTreePath, 'nested'));
+      fs.rmdirSync(inputTreePath);
+    });
+  });
+
+  it('composes source maps from an earlier plugin', function () {
+    return babel('input-source-maps', {
+      sourceMaps: true,
+      plugins: [
+        'transform-strict-mode'
+      ]
+    }).then(results => {
+      let outputPath = results.directory;
+
+      let sibling = fs.readFileSync(path.join(outputPath, 'sibling.js'), 'utf8');
+      let siblingMap = JSON.parse(fs.readFileSync(path.join(outputPath, 'sibling.js.map'), 'utf8'));
+      let comment = fs.readFileSync(path.join(outputPath, 'comment.js'), 'utf8');
+      let commentMap = JSON.parse(fs.readFileSync(path.join(outputPath, 'comment.js.map'), 'utf8'));
+
+      expect(siblingMap.sources).to.eql(['sibling.ts']);
+      expect(siblingMap.sourcesContent).to.eql(['let sibling = 1;\n\nlet other = sibling + 1;\n']);
+      expect(sibling).to.match(/\n\/\/# sourceMappingURL=sibling\.js\.map$/);
+
+      expect(commentMap.sources).to.eql(['maps/comment.ts']);
+      expect(comment).to.not.contain('maps/comment.map');
+    });
+  });
+
+  it('composes source maps from an earlier plugin (in main process)', function () {
+    let pluginFunction = require('babel-plugin-transform-strict-mode');
+    pluginFunction.baseDir = function() {
+      return path.join(__dirname, '../node_modules', 'babel-plugin-transform-strict-mode');
+    };
+    return babel('input-source-maps', {
+      sourceMaps: 'inline',
+      plugins: [
+        pluginFunction
+      ]
+    }).then(results => {
+      let outputPath = results.directory;
+
+      let output = fs.readFileSync(path.join(outputPath, 'comment.js'), 'utf8');
+      let map = require('convert-source-map').fromSource(output).toObject();
+
+      expect(map.sources).to.eql(['maps/comment.ts']);
+      expect(output).to.not.contain('maps/comment.map');
+      expect(fs.existsSync(path.join(outputPath, 'maps/comment.map'))).to.not.be.ok;
+      expect(fs.existsSync(path.join(outputPath, 'sibling.js.map'))).to.not.be.ok;
+    });
+  });
+
+  it('drops the input source maps it inlined on every rebuild', function () {
+    let inputTreePath = path.join(os.tmpdir(), 'broccoli-babel-transpiler-inlined-maps');
+    let map = JSON.parse(fs.readFileSync(path.join(inputPath, 'input-source-maps/sibling.js.map'), 'utf8'));
+    mkdirp(inputTreePath);
+    fs.writeFileSync(path.join(inputTreePath, 'sibling.js'), fs.readFileSync(path.join(inputPath, 'input-source-maps/sibling.js')));
+    fs.writeFileSync(path.join(inputTreePath, 'sibling.js.map'), JSON.stringify(map));
+    fs.writeFileSync(path.join(inputTreePath, 'other.js'), 'const other = 0;');
+
+    return babel(inputTreePath, {
+      sourceMaps: 'inline',
+      plugins: [ 'transform-strict-mode' ]
+    }).then(results => {
+      expect(fs.existsSync(path.join(results.directory, 'sibling.js.map'))).to.not.be.ok;
+
+      fs.writeFileSync(path.join(inputTreePath, 'other.js'), 'const other = 1;');
+      return results.builder();
+    }).then(results => {
+      expect(fs.existsSync(path.join(results.directory, 'sibling.js.map'))).to.not.be.ok;
+
+      map.sources = ['renamed.ts'];
+      fs.writeFileSync(path.join(inputTreePath, 'sibling.js.map'), JSON.stringify(map));
+      return results.builder();
+    }).then(results => {
+      expect(fs.existsSync(path.join(results.directory, 'sibling.js.map'))).to.not.be.ok;
+
+      fs.unlinkSync(path.join(inputTreePath, 'sibling.js'));
+      return results.builder();
+    }).then(results => {
+      expect(fs.readFileSync(path.join(results.directory, 'sibling.js.map'), 'utf8')).to.eql(JSON.stringify(map));
+    }).finally(() => {
+      fs.readdirSync(inputTreePath).forEach(file => fs.unlinkSync(path.join(inputTreePath, file)));
+      fs.rmdirSync(inputTreePath);
+    });
+  });
+
+  it('rebases the sources of input source maps onto the maps it writes', function () {
+    let inputTreePath = path.join(os.tmpdir(), 'broccoli-babel-transpiler-rebased-maps');
+    let map = JSON.parse(fs.readFileSync(path.join(inputPath, 'input-source-maps/sibling.js.map'), 'utf8'));
+    map.sourceRoot = 'src';
+    mkdirp(path.join(inputTreePath, 'nested'));
+    mkdirp(path.join(inputTreePath, 'maps'));
+    fs.writeFileSync(path.join(inputTreePath, 'nested/sibling.js'), fs.readFileSync(path.join(inputPath, 'input-source-maps/sibling.js'), 'utf8') +
+      '\n//# sourceMappingURL=../maps/sibling.map');
+    fs.writeFileSync(path.join(inputTreePath, 'maps/sibling.map'), JSON.stringify(map));
+
+    return babel(inputTreePath, {
+      sourceMaps: true,
+      plugins: [ 'transform-strict-mode' ]
+    }).then(results => {
+      let outputMap = JSON.parse(fs.readFileSync(path.join(results.directory, 'nested/sibling.js.map'), 'utf8'));
+
+      expect(outputMap.sources).to.eql(['../maps/src/sibling.ts']);
+      expect(outputMap).to.not.have.property('sourceRoot');
+    }).finally(() => {
+      fs.unlinkSync(path.join(inputTreePath, 'nested/sibling.js'));
+      fs.unlinkSync(path.join(inputTreePath, 'maps/sibling.map'));
+      fs.rmdirSync(path.join(inputTreePath, 'nested'));
+      fs.rmdirSync(path.join(inputTreePath, 'maps'));
+      fs.rmdirSync(inputTreePath);
+    });
+  });
+
+  it('rejects source map comments that point outside of the input tree', function () {
+    let inputTreePath = path.join(os.tmpdir(), 'broccoli-babel-transpiler-outside-map');
+    mkdirp(inputTreePath);
+    fs.writeFileSync(path.join(inputTreePath, 'a.js'), 'const a = 0;\n//# sourceMappingURL=../../etc/passwd');
+
+    return babel(inputTreePath, {
+      sourceMaps: true,
+      plugins: [ 'transform-strict-mode' ]
+    }).then(() => {
+      throw new Error('the build should have failed');
+    }, error => {
+      expect(error.message).to.contain('a.js refers to the source map `../../etc/passwd`, which is outside of the input tree');
+    }).finally(() => {
+      fs.unlinkSync(path.join(inputTreePath, 'a.js'));
+      fs.rmdirSync(inputTreePath);
+    });
+  });
+
+  it('removes external source maps of deleted files', function () {
+    let inputTreePath = path.join(os.tmpdir(), 'broccoli-babel-transpiler-source-maps');
+    mkdirp(inputTreePath);
+    fs.writeFileSync(path.join(inputTreePath, 'a.js'), 'const a = 0;');
+    fs.writeFileSync(path.join(inputTreePath, 'b.js'), 'const b = 0;');
+
+    return babel(inputTreePath, {
+      sourceMaps: true,
+      plugins: [ 'transform-es2015-block-scoping' ]
+    }).then(results => {
+      expect(fs.existsSync(path.join(results.directory, 'b.js.map'))).to.be.ok;
+
+      fs.unlinkSync(path.join(inputTreePath, 'b.js'));
+      return results.builder();
+    }).then(results => {
+      expect(fs.existsSync(path.join(results.directory, 'a.js.map'))).to.be.ok;
+      expect(fs.existsSync(path.join(results.directory, 'b.js.map'))).to.not.be.ok;
+    }).finally(() => {
+      fs.readdirSync(inputTreePath).forEach(file => fs.unlinkSync(path.join(inputTreePath, file)));
+      fs.rmdirSync(inputTreePath);
+    });
+  });
+
+  it('external helpers', function () {
+    let inputTreePath = path.join(os.tmpdir(), 'broccoli-babel-transpiler-external-helpers');
+    mkdirp(inputTreePath);
+    fs.writeFileSync(path.join(inputTreePath, 'a.js'), 'class A {}');
+    fs.writeFileSync(path.join(inputTreePath, 'b.js'), 'class B extends A {}');
+
+    return babel(inputTreePath, {
+      externalHelpers: true,
+      plugins: [ 'transform-es2015-classes' ]
+    }).then(results => {
+      let helpers = fs.readFileSync(path.join(results.directory, 'babel-helpers.js'), 'utf8');
+      let output = fs.readFileSync(path.join(results.directory, 'b.js'), 'utf8');
+
+      expect(output).to.contain('babelHelpers.inherits(B, _A);');
+      expect(output).to.not.contain('function _inherits');
+      expect(helpers).to.contain('babelHelpers.classCallCheck = ');
+      expect(helpers).to.contain('babelHelpers.inherits = ');
+      expect(helpers).to.not.contain('babelHelpers.createClass = ');
+
+      fs.unlinkSync(path.join(inputTreePath, 'b.js'));
+      return results.builder();
+    }).then(results => {
+      let helpers = fs.readFileSync(path.join(results.directory, 'babel-helpers.js'), 'utf8');
+
+      expect(helpers).to.contain('babelHelpers.classCallCheck = ');
+      expect(helpers).to.not.contain('babelHelpers.inherits = ');
+    }).finally(() => {
+      fs.readdirSync(inputTreePath).forEach(file => fs.unlinkSync(path.join(inputTreePath, file)));
+      fs.rmdirSync(inputTreePath);
+    });
+  });
+
+  it('external helpers with a custom path and output type', function () {
+    return babel('files', {
+      externalHelpers: { path: 'vendor/helpers.js', outputType: 'var' },
+      plugins: [ 'transform-es2015-classes' ]
+    }).then(results => {
+      let helpers = fs.readFileSync(path.join(results.directory, 'vendor/helpers.js'), 'utf8');
+
+      expect(helpers).to.match(/^var babelHelpers = \{\};/);
+      expect(helpers).to.contain('babelHelpers.possibleConstructorReturn = ');
+    });
+  });
+
   it('modules (in main process)', function () {
     return babel('files', {
       inputSourceMap: false,
@@ -449,51 +852,86 @@ describe('transpile ES6 to ES5', function() {
     });
   });
 
-  it('shouldPrintComment (in main process)', function () {
+  it('metadata manifest', function () {
     return babel('files', {
-      shouldPrintComment(comment) { return comment === 'comment 1'; },
+      metadataManifest: true,
+      moduleIds: true,
+      getModuleId: getModuleIdParallel,
+      plugins: [
+        'transform-es2015-modules-amd',
+        'transform-es2015-classes'
+      ]
     }).then(results => {
-      let outputPath = results.directory;
-      let output = fs.readFileSync(path.join(outputPath, 'fixtures-comments.js'), 'utf8');
-      let input = fs.readFileSync(path.join(expectations, 'comments.js'), 'utf8');
+      let manifest = JSON.parse(fs.readFileSync(path.join(results.directory, 'babel-metadata.json'), 'utf8'));
 
-      expect(output).to.eql(input);
+      expect(manifest['fixtures-imports.js']).to.eql({
+        usedHelpers: ['inherits', 'possibleConstructorReturn', 'classCallCheck', 'interopRequireDefault'],
+        imports: ['./fixtures-classes'],
+        exports: ['FooTwo'],
+        moduleId: 'testModule'
+      });
+      expect(manifest['fixtures.js']).to.eql({
+        usedHelpers: [],
+        imports: [],
+        exports: [],
+        moduleId: 'testModule'
+      });
+      expect(manifest).to.have.property('fixtures-classes.js');
     });
   });
 
-  it('shouldPrintComment - parallel API', function () {
+  it('metadata manifest (in main process)', function () {
     return babel('files', {
-      shouldPrintComment: shouldPrintCommentParallel,
+      metadataManifest: 'meta/manifest.json',
+      filterExtensions: ['es6'],
+      plugins: [
+        'transform-es2015-modules-amd'
+      ],
+      resolveModuleSource: moduleResolve
     }).then(results => {
-      let outputPath = results.directory;
-      let output = fs.readFileSync(path.join(outputPath, 'fixtures-comments.js'), 'utf8');
-      let input = fs.readFileSync(path.join(expectations, 'comments.js'), 'utf8');
+      let manifest = JSON.parse(fs.readFileSync(path.join(results.directory, 'meta/manifest.json'), 'utf8'));
 
-      expect(output).to.eql(input);
+      expect(Object.keys(manifest)).to.eql(['fixtures-es6.js']);
+      expect(manifest['fixtures-es6.js'].moduleId).to.eql(null);
     });
   });
-});
 
-describe('filters files to transform', function() {
-  this.timeout(5 * 1000); // some of these are slow in CI
+  it('warns about missing and circular imports', function () {
+    let messages = [];
 
-  before(function() {
-    babel = makeTestHelper({
-      subject() {
-        return new Babel(arguments[0], arguments[1]);
-      },
-      fixturePath: inputPath
+    return babel('module-graph', {
+      console: { warn(message) { messages.push(message); } },
+      checkImports: 'warn',
+      plugins: [ 'transform-es2015-modules-amd' ]
+    }).then(() => {
+      expect(messages).to.eql([
+        'broccoli-babel-transpiler: b.js imports `ember`, but there is no module `ember` in the tree',
+        'broccoli-babel-transpiler: b.js imports `./missing`, but there is no module `missing` in the tree',
+        'broccoli-babel-transpiler: circular import: a -> b -> a'
+      ]);
     });
   });
 
-  afterEach(function () {
-    return cleanupBuilders();
+  it('fails the build on missing and circular imports', function () {
+    return babel('module-graph', {
+      checkImports: { report: 'error', external: ['ember'] },
+      moduleIds: true,
+      moduleRoot: 'app',
+      plugins: [ 'transform-es2015-modules-amd' ]
+    }).then(() => {
+      throw new Error('the build should have failed');
+    }, err => {
+      expect(err.message).to.contain('found 2 problem(s) with imports:\n' +
+        '  b.js imports `./missing`, but there is no module `app/missing` in the tree\n' +
+        '  circular import: app/a -> app/b -> app/a');
+    });
   });
 
-  it('default', function () {
+  it('babelCorePath', function () {
     return babel('files', {
-      inputSourceMap:false,
+      inputSourceMap: false,
       sourceMap: false,
+      babelCorePath: fixtureFullPath('babel-core-7'),
       plugins: [
         'transform-strict-mode',
         'transform-es2015-block-scoping'
@@ -504,36 +942,118 @@ describe('filters files to transform', function() {
       let output = fs.readFileSync(path.join(outputPath, 'fixtures.js'), 'utf8');
       let input = fs.readFileSync(path.join(expectations, 'expected.js'), 'utf8');
 
-      expect(output).to.eql(input);
-      // Verify that .es6 file was not transformed
-      expect(fs.existsSync(path.join(outputPath, 'fixtures-es6.es6'))).to.be.ok;
+      expect(output).to.eql('/* babel-core-7 */\n' + input);
     });
   });
 
-  it('uses specified filter', function () {
+  it('babel (in main process)', function () {
+    let pluginFunction = require('babel-plugin-transform-strict-mode');
+    pluginFunction.baseDir = function() {
+      return path.join(__dirname, '../node_modules', 'babel-plugin-transform-strict-mode');
+    };
     return babel('files', {
-      filterExtensions: ['es6'],
       inputSourceMap: false,
       sourceMap: false,
+      babel: require(fixtureFullPath('babel-core-7')),
       plugins: [
-        'transform-strict-mode',
+        pluginFunction,
         'transform-es2015-block-scoping'
       ]
     }).then(results => {
       let outputPath = results.directory;
 
-      let output = fs.readFileSync(path.join(outputPath, 'fixtures-es6.js'), 'utf8');
+      let output = fs.readFileSync(path.join(outputPath, 'fixtures.js'), 'utf8');
       let input = fs.readFileSync(path.join(expectations, 'expected.js'), 'utf8');
 
-      expect(output).to.eql(input);
-      // Verify that .es6 file was not transformed
-      expect(fs.existsSync(path.join(outputPath, 'fixtures-es6.es6'))).to.not.be.ok;
+      expect(output).to.eql('/* babel-core-7 */\n' + input);
     });
   });
 
-  it('uses multiple specified filters', function() {
+  it('shouldPrintComment (in main process)', function () {
     return babel('files', {
-      filterExtensions: ['js', 'es6'],
+      shouldPrintComment(comment) { return comment === 'comment 1'; },
+    }).then(results => {
+      let outputPath = results.directory;
+      let output = fs.readFileSync(path.join(outputPath, 'fixtures-comments.js'), 'utf8');
+      let input = fs.readFileSync(path.join(expectations, 'comments.js'), 'utf8');
+
+      expect(output).to.eql(input);
+    });
+  });
+
+  it('shouldPrintComment - parallel API', function () {
+    return babel('files', {
+      shouldPrintComment: shouldPrintCommentParallel,
+    }).then(results => {
+      let outputPath = results.directory;
+      let output = fs.readFileSync(path.join(outputPath, 'fixtures-comments.js'), 'utf8');
+      let input = fs.readFileSync(path.join(expectations, 'comments.js'), 'utf8');
+
+      expect(output).to.eql(input);
+    });
+  });
+});
+
+describe('filters files to transform', function() {
+  this.timeout(5 * 1000); // some of these are slow in CI
+
+  before(function() {
+    babel = makeTestHelper({
+      subject() {
+        return new Babel(arguments[0], arguments[1]);
+      },
+      fixturePath: inputPath
+    });
+  });
+
+  afterEach(function () {
+    return cleanupBuilders();
+  });
+
+  it('default', function () {
+    return babel('files', {
+      inputSourceMap:false,
+      sourceMap: false,
+      plugins: [
+        'transform-strict-mode',
+        'transform-es2015-block-scoping'
+      ]
+    }).then(results => {
+      let outputPath = results.directory;
+
+      let output = fs.readFileSync(path.join(outputPath, 'fixtures.js'), 'utf8');
+      let input = fs.readFileSync(path.join(expectations, 'expected.js'), 'utf8');
+
+      expect(output).to.eql(input);
+      // Verify that .es6 file was not transformed
+      expect(fs.existsSync(path.join(outputPath, 'fixtures-es6.es6'))).to.be.ok;
+    });
+  });
+
+  it('uses specified filter', function () {
+    return babel('files', {
+      filterExtensions: ['es6'],
+      inputSourceMap: false,
+      sourceMap: false,
+      plugins: [
+        'transform-strict-mode',
+        'transform-es2015-block-scoping'
+      ]
+    }).then(results => {
+      let outputPath = results.directory;
+
+      let output = fs.readFileSync(path.join(outputPath, 'fixtures-es6.js'), 'utf8');
+      let input = fs.readFileSync(path.join(expectations, 'expected.js'), 'utf8');
+
+      expect(output).to.eql(input);
+      // Verify that .es6 file was not transformed
+      expect(fs.existsSync(path.join(outputPath, 'fixtures-es6.es6'))).to.not.be.ok;
+    });
+  });
+
+  it('uses multiple specified filters', function() {
+    return babel('files', {
+      filterExtensions: ['js', 'es6'],
       inputSourceMap: false,
       sourceMap: false,
       plugins: [
@@ -593,6 +1113,82 @@ describe('filters files to transform', function() {
     });
   });
 
+  it('applies matching overrides', function() {
+    return babel('overrides', {
+      inputSourceMap: false,
+      sourceMap: false,
+      plugins: [
+        'transform-strict-mode',
+        'transform-es2015-block-scoping'
+      ],
+      overrides: [
+        { test: 'vendor/**', options: { plugins: ['transform-strict-mode'] } },
+        { test: /nothing-matches-this/, options: { plugins: [] } }
+      ]
+    }).then(results => {
+      let outputPath = results.directory;
+
+      let app = fs.readFileSync(path.join(outputPath, 'app/app.js'), 'utf8');
+      let vendor = fs.readFileSync(path.join(outputPath, 'vendor/vendor.js'), 'utf8');
+
+      expect(app).to.eql('"use strict";\n\nvar app = 0;');
+      expect(vendor).to.eql('"use strict";\n\nconst vendor = 0;');
+    });
+  });
+
+  it('inputTreeConfig', function() {
+    process.env.BABEL_ENV = 'test-broccoli-babel-transpiler';
+
+    return babel('input-tree-config', {
+      inputSourceMap: false,
+      sourceMap: false,
+      inputTreeConfig: true
+    }).then(results => {
+      let outputPath = results.directory;
+
+      let app = fs.readFileSync(path.join(outputPath, 'app.js'), 'utf8');
+      let legacy = fs.readFileSync(path.join(outputPath, 'legacy/nested/legacy.js'), 'utf8');
+      let env = fs.readFileSync(path.join(outputPath, 'env/env.js'), 'utf8');
+      let config = fs.readFileSync(path.join(outputPath, 'babel.config.js'), 'utf8');
+
+      expect(app).to.eql('"use strict";\n\nconst app = 0;');
+      expect(legacy).to.eql('"use strict";\n\nvar legacy = 0;');
+      expect(env).to.eql('"use strict";\n\nvar env = 0;');
+      expect(config).to.eql(fs.readFileSync(path.join(inputPath, 'input-tree-config/babel.config.js'), 'utf8'));
+    }).finally(() => {
+      delete process.env.BABEL_ENV;
+    });
+  });
+
+  it('inputTreeConfig re-transpiles files when their config changes', function() {
+    let inputTreePath = path.join(os.tmpdir(), 'broccoli-babel-transpiler-input-tree-config');
+    mkdirp(path.join(inputTreePath, 'a'));
+    mkdirp(path.join(inputTreePath, 'b'));
+    fs.writeFileSync(path.join(inputTreePath, 'a/a.js'), 'const a = 0;');
+    fs.writeFileSync(path.join(inputTreePath, 'b/b.js'), 'const b = 0;');
+    fs.writeFileSync(path.join(inputTreePath, 'b/.babelrc'), '{ "plugins": [] }');
+
+    return babel(inputTreePath, {
+      inputTreeConfig: true,
+      plugins: ['transform-strict-mode']
+    }).then(results => {
+      expect(fs.readFileSync(path.join(results.directory, 'b/b.js'), 'utf8')).to.eql('"use strict";\n\nconst b = 0;');
+
+      fs.writeFileSync(path.join(inputTreePath, 'b/.babelrc'), '{ "plugins": ["transform-es2015-block-scoping"] }');
+      return results.builder();
+    }).then(results => {
+      expect(fs.readFileSync(path.join(results.directory, 'a/a.js'), 'utf8')).to.eql('"use strict";\n\nconst a = 0;');
+      expect(fs.readFileSync(path.join(results.directory, 'b/b.js'), 'utf8')).to.eql('"use strict";\n\nvar b = 0;');
+    }).finally(() => {
+      fs.unlinkSync(path.join(inputTreePath, 'a/a.js'));
+      fs.unlinkSync(path.join(inputTreePath, 'b/b.js'));
+      fs.unlinkSync(path.join(inputTreePath, 'b/.babelrc'));
+      fs.rmdirSync(path.join(inputTreePath, 'a'));
+      fs.rmdirSync(path.join(inputTreePath, 'b'));
+      fs.rmdirSync(inputTreePath);
+    });
+  });
+
   it('throws if a single helper is not whitelisted', function() {
     return babel('file', {
       helperWhiteList: ['classCallCheck', 'possibleConstructorReturn'],
@@ -701,7 +1297,7 @@ describe('when options change', function() {
 
   it('includes string plugins in hash calculation', function() {
     options.plugins = [
-      'foo'
+      'transform-strict-mode'
     ];
     options.console = fakeConsole;
     let babelNew = new Babel('foo', options);
@@ -709,10 +1305,29 @@ describe('when options change', function() {
     expect(babelNew.optionsHash()).to.not.eql(originalHash);
   });
 
+  it('includes the packages string plugins and presets resolve to in hash calculation', function() {
+    let strictMode = path.dirname(require.resolve('babel-plugin-transform-strict-mode/package.json'));
+    let classes = path.dirname(require.resolve('babel-plugin-transform-es2015-classes/package.json'));
+    options.console = fakeConsole;
+    let babel = new Babel('foo', options);
+
+    expect(babel.hashOptions({
+      plugins: ['transform-strict-mode', ['transform-es2015-classes', { loose: true }], { cacheKey() { return 'a'; } }]
+    }).pluginPackages).to.eql([hashForDep(strictMode), hashForDep(classes), null]);
+  });
+
+  it('throws if a string plugin can not be resolved for the hash calculation', function() {
+    options.plugins = [['does-not-exist', {}]];
+    options.console = fakeConsole;
+    let babel = new Babel('foo', options);
+
+    expect(() => babel.optionsHash()).to.throw(Error, 'broccoli-babel-transpiler: could not find the plugin `does-not-exist` to compute the cache key, looked for `babel-plugin-does-not-exist`, `does-not-exist` from ' + process.cwd());
+  });
+
   it('includes plugins specified with options in hash calculation when cacheable', function() {
     let pluginOptions = { foo: 'bar' };
     options.plugins = [
-      ['foo', pluginOptions]
+      ['transform-strict-mode', pluginOptions]
     ];
     options.console = fakeConsole;
     let first = new Babel('foo', options);
@@ -735,7 +1350,7 @@ describe('when options change', function() {
     function thing() { }
     let pluginOptions = { foo: 'bar', thing: thing };
     options.plugins = [
-      ['foo', pluginOptions]
+      ['transform-strict-mode', pluginOptions]
     ];
     options.console = fakeConsole;
     let first = new Babel('foo', options);
@@ -753,7 +1368,7 @@ describe('when options change', function() {
     thing.baseDir = function() { return dir; };
     let pluginOptions = { foo: 'bar', thing: thing };
     options.plugins = [
-      ['foo', pluginOptions]
+      ['transform-strict-mode', pluginOptions]
     ];
 
     options.console = fakeConsole;
@@ -861,6 +1476,193 @@ describe('when options change', function() {
     ]);
   });
 
+  it('presets can be functions with `baseDir` and `cacheKey`', function() {
+    let dir = path.join(inputPath, 'plugin-a');
+    let key = 'cacheKey1';
+    function preset() {}
+    preset.baseDir = function() { return dir; };
+    preset.cacheKey = function() { return key; };
+    options.presets = [ [preset, { loose: true }] ];
+
+    options.console = fakeConsole;
+    let first = new Babel('foo', options).optionsHash();
+
+    options.console = fakeConsole;
+    let second = new Babel('foo', options).optionsHash();
+
+    key = 'cacheKey2';
+    options.console = fakeConsole;
+    let third = new Babel('foo', options).optionsHash();
+
+    dir = path.join(inputPath, 'plugin-b');
+    options.console = fakeConsole;
+    let fourth = new Babel('foo', options).optionsHash();
+
+    expect(first).to.eql(second);
+    expect(third).to.not.eql(first);
+    expect(fourth).to.not.eql(third);
+    expect(consoleMessages).to.eql([]);
+  });
+
+  it('a preset without a baseDir invalidates the cache every time', function() {
+    function preset() {}
+    preset.toString = function() { return '<derp preset>'; };
+    options.presets = [ preset ];
+
+    options.console = fakeConsole;
+    let babel1 = new Babel('foo', options);
+    options.console = fakeConsole;
+    let babel2 = new Babel('foo', options);
+
+    expect(babel1.optionsHash()).to.not.eql(babel2.optionsHash());
+    expect(consoleMessages).to.eql([
+      'broccoli-babel-transpiler is opting out of caching due to a preset that does not provide a caching strategy: `<derp preset>`.',
+      'broccoli-babel-transpiler is opting out of caching due to a preset that does not provide a caching strategy: `<derp preset>`.'
+    ]);
+  });
+
+  it('hashes the plugins and presets of presets that include other presets', function() {
+    let key = 'cacheKey1';
+    function plugin() {}
+    plugin.baseDir = function() { return path.join(inputPath, 'plugin-a'); };
+    plugin.cacheKey = function() { return key; };
+    options.presets = [ { presets: [ [{ plugins: [plugin, 'transform-strict-mode'] }, { plugins: ['not-a-plugin-name'] }] ] } ];
+
+    options.console = fakeConsole;
+    let first = new Babel('foo', options);
+    let presetsHash = stringify(first.hashOptions(options).presets);
+    let firstHash = first.optionsHash();
+
+    key = 'cacheKey2';
+    options.console = fakeConsole;
+    let secondHash = new Babel('foo', options).optionsHash();
+
+    expect(presetsHash).to.contain(hashForDep(path.dirname(require.resolve('babel-plugin-transform-strict-mode/package.json'))));
+    expect(presetsHash).to.contain('not-a-plugin-name');
+    expect(firstHash).to.not.eql(secondHash);
+    expect(consoleMessages).to.eql([]);
+  });
+
+  it('hashes callbacks and plugins that implement the parallel API by their requireFile', function() {
+    let requireFile = path.join(os.tmpdir(), 'broccoli-babel-transpiler-require-file.js');
+    fs.writeFileSync(requireFile, 'module.exports = { getModuleId() { return "a"; } };');
+
+    function getModuleId() {}
+    getModuleId._parallelBabel = { requireFile, useMethod: 'getModuleId' };
+    function plugin() {}
+    plugin._parallelBabel = { requireFile, buildUsing: 'build', params: { loose: true } };
+    options.getModuleId = getModuleId;
+    options.plugins = [ plugin ];
+
+    try {
+      options.console = fakeConsole;
+      let first = new Babel('foo', options).optionsHash();
+
+      options.console = fakeConsole;
+      let second = new Babel('foo', options).optionsHash();
+
+      fs.writeFileSync(requireFile, 'module.exports = { getModuleId() { return "b"; } };');
+      options.console = fakeConsole;
+      let third = new Babel('foo', options).optionsHash();
+
+      plugin._parallelBabel.params.loose = false;
+      options.console = fakeConsole;
+      let fourth = new Babel('foo', options).optionsHash();
+
+      getModuleId._parallelBabel.useMethod = 'otherModuleId';
+      options.console = fakeConsole;
+      let fifth = new Babel('foo', options).optionsHash();
+
+      expect(first).to.eql(second);
+      expect(third).to.not.eql(second);
+      expect(fourth).to.not.eql(third);
+      expect(fifth).to.not.eql(fourth);
+      expect(consoleMessages).to.eql([]);
+    } finally {
+      fs.unlinkSync(requireFile);
+    }
+  });
+
+  it('includes input source maps in the per-file cache key', function() {
+    let inputTreePath = path.join(os.tmpdir(), 'broccoli-babel-transpiler-input-map-key');
+    mkdirp(inputTreePath);
+    fs.writeFileSync(path.join(inputTreePath, 'a.js.map'), '{"version":3,"sources":["a.ts"]}');
+
+    options.sourceMaps = true;
+    options.console = fakeConsole;
+    let babel = new Babel('foo', options);
+    babel.inputPaths = [inputTreePath];
+
+    let first = babel.cacheKeyProcessString('var a;', 'a.js');
+    fs.writeFileSync(path.join(inputTreePath, 'a.js.map'), '{"version":3,"sources":["b.ts"]}');
+    let second = babel.cacheKeyProcessString('var a;', 'a.js');
+
+    fs.unlinkSync(path.join(inputTreePath, 'a.js.map'));
+    let third = babel.cacheKeyProcessString('var a;', 'a.js');
+    fs.rmdirSync(inputTreePath);
+
+    expect(first).to.not.eql(second);
+    expect(third).to.not.eql(second);
+    expect(third).to.not.eql(first);
+  });
+
+  it('includes a custom Babel core in hash calculation', function() {
+    options.babelCorePath = fixtureFullPath('babel-core-7');
+    options.console = fakeConsole;
+    let babelNew = new Babel('foo', options);
+
+    expect(babelNew.optionsHash()).to.not.eql(originalHash);
+    expect(babelNew.options.babelCorePath).to.eql(undefined);
+  });
+
+  it('only invalidates the files an override applies to', function() {
+    let overrideOptions = { plugins: ['transform-strict-mode'] };
+    options.overrides = [
+      { test: ['vendor/**', /\.legacy\.js$/], options: overrideOptions }
+    ];
+
+    options.console = fakeConsole;
+    let first = new Babel('foo', options);
+
+    overrideOptions.plugins = ['transform-es2015-classes'];
+    options.console = fakeConsole;
+    let second = new Babel('foo', options);
+
+    expect(first.optionsHash()).to.eql(second.optionsHash());
+    expect(first.cacheKeyProcessString('', 'app/a.js')).to.eql(second.cacheKeyProcessString('', 'app/a.js'));
+    expect(first.cacheKeyProcessString('', 'vendor/a.js')).to.not.eql(second.cacheKeyProcessString('', 'vendor/a.js'));
+    expect(first.cacheKeyProcessString('', 'app/a.legacy.js')).to.not.eql(second.cacheKeyProcessString('', 'app/a.legacy.js'));
+  });
+
+  it('includes config files from the input tree in the per-file cache key', function() {
+    let inputTreePath = path.join(os.tmpdir(), 'broccoli-babel-transpiler-config-key');
+    mkdirp(path.join(inputTreePath, 'a'));
+    mkdirp(path.join(inputTreePath, 'b'));
+    fs.writeFileSync(path.join(inputTreePath, 'b/.babelrc'), '{ "plugins": ["foo"] }');
+
+    options.inputTreeConfig = true;
+    options.console = fakeConsole;
+    let babel = new Babel('foo', options);
+    babel.inputPaths = [inputTreePath];
+
+    babel._configFiles = new ConfigFiles(inputTreePath);
+    let firstA = babel.cacheKeyProcessString('', 'a/a.js');
+    let firstB = babel.cacheKeyProcessString('', 'b/b.js');
+
+    fs.writeFileSync(path.join(inputTreePath, 'b/.babelrc'), '{ "plugins": ["bar"] }');
+    babel._configFiles = new ConfigFiles(inputTreePath);
+    let secondA = babel.cacheKeyProcessString('', 'a/a.js');
+    let secondB = babel.cacheKeyProcessString('', 'b/b.js');
+
+    fs.unlinkSync(path.join(inputTreePath, 'b/.babelrc'));
+    fs.rmdirSync(path.join(inputTreePath, 'a'));
+    fs.rmdirSync(path.join(inputTreePath, 'b'));
+    fs.rmdirSync(inputTreePath);
+
+    expect(firstA).to.eql(secondA);
+    expect(firstB).to.not.eql(secondB);
+  });
+
   it('clears cache for updated properties', function() {
     options.bar = 2;
     options.console = fakeConsole;
@@ -900,7 +1702,7 @@ describe('on error', function() {
 
   afterEach(function () {
     return cleanupBuilders()
-      .then(terminateWorkerPool);
+      .then(terminateWorkerPools);
   });
 
   it('returns error from the main process', function () {
@@ -921,6 +1723,7 @@ describe('on error', function() {
       },
       function onFailure(err) {
         expect(err.message).to.eql('fixtures.js: Unexpected token (1:9)');
+        expectLocation(err);
       }
     );
   });
@@ -939,82 +1742,278 @@ describe('on error', function() {
       },
       function onFailure(err) {
         expect(err.message).to.eql('fixtures.js: Unexpected token (1:9)');
+        expectLocation(err);
       }
     );
   });
 
-  it('fails if worker process is terminated', function () {
-    return babel('files', {
+  it('falls back to the main process if worker processes are terminated', function () {
+    let messages = [];
+
+    return babel('file', {
+      console: { warn(message) { messages.push(message); } },
       inputSourceMap: false,
       sourceMap: false,
+      persist: false,
       plugins: [
         {
           _parallelBabel: {
-            requireFile: fixtureFullPath('transform-strict-mode-process-exit'),
+            requireFile: fixtureFullPath('transform-strict-mode-worker-exit'),
             buildUsing: 'buildMeAFunction',
           }
         },
         'transform-es2015-block-scoping'
       ]
-    }).then(
-      function onSuccess(results) {
-        expect.fail('', '', 'babel should throw an error');
-      },
-      function onFailure(err) {
-        expect(err.message).to.eql('Worker terminated unexpectedly');
-      }
-    );
+    }).then(results => {
+      let output = fs.readFileSync(path.join(results.directory, 'fixtures.js'), 'utf8');
+      let crash = 'broccoli-babel-transpiler: a worker exited unexpectedly while transpiling `fixtures.js` ' +
+        '(plugins: ' + fixtureFullPath('transform-strict-mode-worker-exit') + ', transform-es2015-block-scoping)';
+
+      expect(output).to.eql('"use strict";\n\nvar x = 0;');
+      expect(messages).to.eql([
+        crash + ', retrying on another worker (1 of 2)',
+        crash + ', retrying on another worker (2 of 2)',
+        crash + ', transpiling it in the main process instead'
+      ]);
+    });
   });
-});
 
-describe('deserialize()', function() {
+  it('falls back to the main process right away with workerRetries: 0', function () {
+    let messages = [];
 
-  afterEach(function() {
-    return terminateWorkerPool();
-  });
+    return babel('file', {
+      console: { warn(message) { messages.push(message); } },
+      workerRetries: 0,
+      persist: false,
+      plugins: [
+        {
+          _parallelBabel: {
+            requireFile: fixtureFullPath('transform-strict-mode-worker-exit'),
+            buildUsing: 'buildMeAFunction',
+          }
+        }
+      ]
+    }).then(results => {
+      let output = fs.readFileSync(path.join(results.directory, 'fixtures.js'), 'utf8');
 
-  it('passes other options through', function () {
-    let options = {
-      inputSourceMap: false,
-      sourceMap: false,
-      somethingElse: 'foo',
-    };
-    expect(ParallelApi.deserialize(options)).to.eql({
-      inputSourceMap: false,
-      sourceMap: false,
-      somethingElse: 'foo',
+      expect(output).to.eql('"use strict";\n\nconst x = 0;');
+      expect(messages).to.eql([
+        'broccoli-babel-transpiler: a worker exited unexpectedly while transpiling `fixtures.js` ' +
+          '(plugins: ' + fixtureFullPath('transform-strict-mode-worker-exit') + '), transpiling it in the main process instead'
+      ]);
     });
   });
 
-  it('builds plugins using the parallel API', function () {
-    let options = {
+  it('retries on another worker, then falls back to the main process, with workerRetries', function () {
+    let messages = [];
+
+    return babel('file', {
+      console: { warn(message) { messages.push(message); } },
+      workerRetries: 2,
+      persist: false,
       plugins: [
         {
           _parallelBabel: {
-            requireFile: fixtureFullPath('transform-strict-mode-parallel'),
+            requireFile: fixtureFullPath('transform-strict-mode-worker-exit'),
+            buildUsing: 'buildMeAFunction',
           }
         },
         'transform-es2015-block-scoping'
       ]
-    };
-    expect(ParallelApi.deserialize(options)).to.eql({
-      plugins: [
-        'transform-strict-mode',
-        'transform-es2015-block-scoping'
-      ]
+    }).then(results => {
+      let output = fs.readFileSync(path.join(results.directory, 'fixtures.js'), 'utf8');
+      let crash = 'broccoli-babel-transpiler: a worker exited unexpectedly while transpiling `fixtures.js` ' +
+        '(plugins: ' + fixtureFullPath('transform-strict-mode-worker-exit') + ', transform-es2015-block-scoping)';
+
+      expect(output).to.eql('"use strict";\n\nvar x = 0;');
+      expect(messages).to.eql([
+        crash + ', retrying on another worker (1 of 2)',
+        crash + ', retrying on another worker (2 of 2)',
+        crash + ', transpiling it in the main process instead'
+      ]);
     });
   });
 
-  it('leaves callback functions alone', function () {
-    let moduleNameFunc = function(moduleName) {};
-    let commentFunc = function(comment) {};
-    let options = {
-      resolveModuleSource: moduleResolve,
-      getModuleId: moduleNameFunc,
-      shouldPrintComment: commentFunc,
-    };
+  it('rejects files that take longer than transformTimeout, and replaces their worker', function () {
+    this.timeout(10000);
 
-    expect(ParallelApi.deserialize(options).resolveModuleSource).to.not.eql(moduleResolve);
+    return babel('file', {
+      transformTimeout: 500,
+      plugins: [
+        {
+          _parallelBabel: {
+            requireFile: fixtureFullPath('transform-strict-mode-worker-hang'),
+            buildUsing: 'buildMeAFunction',
+            params: { delay: 0 }
+          }
+        }
+      ]
+    }).then(
+      function onSuccess(results) {
+        expect.fail('', '', 'babel should throw an error');
+      },
+      function onFailure(err) {
+        expect(err.message).to.eql('broccoli-babel-transpiler: transpiling `fixtures.js` took longer than the `transformTimeout` of 500ms ' +
+          '(plugins: ' + fixtureFullPath('transform-strict-mode-worker-hang') + '), its worker was replaced');
+        expect(err.file).to.eql('fixtures.js');
+
+        return new Babel('foo').transform('const x = 0;', { plugins: ['transform-strict-mode'] });
+      }
+    ).then(result => {
+      expect(result.code).to.eql('"use strict";\n\nconst x = 0;');
+    });
+  });
+
+  it('warns about main process transforms that take longer than transformTimeout', function () {
+    let messages = [];
+    let plugin = require(fixtureFullPath('transform-strict-mode-worker-hang')).buildMeAFunction({ delay: 50 });
+
+    return babel('file', {
+      console: { warn(message) { messages.push(message); } },
+      transformTimeout: 10,
+      plugins: [ plugin ]
+    }).then(results => {
+      expect(fs.readFileSync(path.join(results.directory, 'fixtures.js'), 'utf8')).to.eql('"use strict";\n\nconst x = 0;');
+      let warnings = messages.filter(message => message.indexOf('transformTimeout') > -1);
+
+      expect(warnings).to.have.length(1);
+      expect(warnings[0]).to.match(/^broccoli-babel-transpiler: transpiling `fixtures.js` took \d+ms, longer than the `transformTimeout` of 10ms \(plugins: unknown\)$/);
+    });
+  });
+
+  it('reports the errors of every file with collectErrors', function () {
+    return babel('collect-errors', {
+      collectErrors: true,
+      helperWhiteList: ['classCallCheck'],
+      plugins: [
+        'transform-es2015-classes'
+      ]
+    }).then(
+      function onSuccess(results) {
+        expect.fail('', '', 'babel should throw an error');
+      },
+      function onFailure(err) {
+        expect(err.message).to.match(/^.*: 3 file\(s\) failed to transpile:\n\n/);
+        expect(err.message).to.contain('a.js: Unexpected token (1:7)\n> 1 | const a;');
+        expect(err.message).to.contain('b.js was transformed and relies on `inherits`, & `possibleConstructorReturn`');
+        expect(err.message).to.contain('nested/c.js: Unexpected token (1:4)');
+        expect(err.errors.map(error => error.file)).to.eql(['a.js', 'b.js', 'nested/c.js']);
+      }
+    );
+  });
+
+  it('transpiles the files that failed with collectErrors again on the next build', function () {
+    let treePath = path.join(os.tmpdir(), 'broccoli-babel-transpiler-collected-errors');
+    let inputTreePath = path.join(treePath, 'input');
+    let outputTreePath = path.join(treePath, 'output');
+    mkdirp(inputTreePath);
+    mkdirp(outputTreePath);
+    fs.writeFileSync(path.join(inputTreePath, 'a.js'), 'const a;');
+    fs.writeFileSync(path.join(inputTreePath, 'b.js'), 'const b = 0;');
+
+    let babel = new Babel(inputTreePath, { collectErrors: true, persist: false, plugins: ['transform-strict-mode'] });
+    babel.inputPaths = [inputTreePath];
+    babel.outputPath = outputTreePath;
+
+    return babel.build().then(() => {
+      expect.fail('', '', 'babel should throw an error');
+    }, err => {
+      expect(err.errors.map(error => error.file)).to.eql(['a.js']);
+
+      fs.writeFileSync(path.join(inputTreePath, 'b.js'), 'const b = 1;');
+      return babel.build();
+    }).then(() => {
+      expect.fail('', '', 'babel should throw an error');
+    }, err => {
+      expect(err.errors.map(error => error.file)).to.eql(['a.js']);
+
+      fs.writeFileSync(path.join(inputTreePath, 'a.js'), 'const a = 0;');
+      return babel.build();
+    }).then(() => {
+      expect(fs.readFileSync(path.join(outputTreePath, 'a.js'), 'utf8')).to.eql('"use strict";\n\nconst a = 0;');
+      expect(fs.readFileSync(path.join(outputTreePath, 'b.js'), 'utf8')).to.eql('"use strict";\n\nconst b = 1;');
+    }).finally(() => {
+      [inputTreePath, outputTreePath].forEach(dir => {
+        fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+      });
+      fs.rmdirSync(treePath);
+    });
+  });
+
+  it('reads the location from the message when an error has no `loc`', function () {
+    const normalizeTranspileError = require('../lib/transpile-error').normalizeTranspileError;
+    let err = normalizeTranspileError(new Error('fixtures.js: Unexpected token (1:9)'), 'const foo;\n', 'fixtures.js');
+
+    expect(err.line).to.eql(1);
+    expect(err.column).to.eql(9);
+    expect(err.codeFrame).to.contain('> 1 | const foo;');
+    expect(err.plugin).to.eql(null);
+  });
+
+  function expectLocation(err) {
+    expect(err.file).to.eql('fixtures.js');
+    expect(err.line).to.eql(1);
+    expect(err.column).to.eql(9);
+    expect(err.codeFrame).to.contain('> 1 | const foo;');
+    expect(err.treeDir).to.be.a('string');
+    expect(err.broccoliPayload.location).to.eql({
+      file: 'fixtures.js',
+      treeDir: err.treeDir,
+      line: 1,
+      column: 9
+    });
+  }
+});
+
+describe('deserialize()', function() {
+
+  afterEach(function() {
+    return terminateWorkerPools();
+  });
+
+  it('passes other options through', function () {
+    let options = {
+      inputSourceMap: false,
+      sourceMap: false,
+      somethingElse: 'foo',
+    };
+    expect(ParallelApi.deserialize(options)).to.eql({
+      inputSourceMap: false,
+      sourceMap: false,
+      somethingElse: 'foo',
+    });
+  });
+
+  it('builds plugins using the parallel API', function () {
+    let options = {
+      plugins: [
+        {
+          _parallelBabel: {
+            requireFile: fixtureFullPath('transform-strict-mode-parallel'),
+          }
+        },
+        'transform-es2015-block-scoping'
+      ]
+    };
+    expect(ParallelApi.deserialize(options)).to.eql({
+      plugins: [
+        'transform-strict-mode',
+        'transform-es2015-block-scoping'
+      ]
+    });
+  });
+
+  it('leaves callback functions alone', function () {
+    let moduleNameFunc = function(moduleName) {};
+    let commentFunc = function(comment) {};
+    let options = {
+      resolveModuleSource: moduleResolve,
+      getModuleId: moduleNameFunc,
+      shouldPrintComment: commentFunc,
+    };
+
+    expect(ParallelApi.deserialize(options).resolveModuleSource).to.not.eql(moduleResolve);
     expect(ParallelApi.deserialize(options).getModuleId).to.eql(moduleNameFunc);
     expect(ParallelApi.deserialize(options).shouldPrintComment).to.eql(commentFunc);
   });
@@ -1044,6 +2043,224 @@ describe('deserialize()', function() {
   });
 });
 
+describe('ConfigFiles', function() {
+  let inputTreePath = path.join(os.tmpdir(), 'broccoli-babel-transpiler-config-files');
+
+  beforeEach(function() {
+    mkdirp(inputTreePath);
+  });
+
+  afterEach(function() {
+    delete process.env.BABEL_ENV;
+    fs.readdirSync(inputTreePath).forEach(file => fs.unlinkSync(path.join(inputTreePath, file)));
+    fs.rmdirSync(inputTreePath);
+  });
+
+  it('calls a babel.config.js function with an api', function() {
+    process.env.BABEL_ENV = 'production';
+    fs.writeFileSync(path.join(inputTreePath, 'babel.config.js'), [
+      'module.exports = api => {',
+      '  api.cache(true);',
+      '  api.assertVersion(7);',
+      '  return {',
+      '    comments: api.env() === "production" && api.env(["test", "production"]),',
+      '    compact: api.cache.using(() => api.env(name => name === "test")),',
+      '    auxiliaryCommentBefore: api.version',
+      '  };',
+      '};'
+    ].join('\n'));
+
+    expect(new ConfigFiles(inputTreePath, '7.1.0').projectConfig().options).to.eql({
+      comments: true,
+      compact: false,
+      auxiliaryCommentBefore: '7.1.0'
+    });
+    expect(() => new ConfigFiles(inputTreePath, '6.26.0').projectConfig()).to.throw(Error,
+      'Error while loading babel.config.js: Requires Babel 7, but was loaded with 6.26.0');
+  });
+
+  it('signs config files by their size and modification time', function() {
+    const configFilesSignature = require('../lib/config-files').configFilesSignature;
+    fs.writeFileSync(path.join(inputTreePath, '.babelrc'), '{ "plugins": [] }');
+    fs.writeFileSync(path.join(inputTreePath, 'a.js'), 'const a = 0;');
+
+    let first = configFilesSignature(inputTreePath);
+
+    fs.writeFileSync(path.join(inputTreePath, 'a.js'), 'const a = 1;');
+    let second = configFilesSignature(inputTreePath);
+
+    fs.writeFileSync(path.join(inputTreePath, '.babelrc'), '{ "plugins": ["a"] }');
+    let third = configFilesSignature(inputTreePath);
+
+    expect(second).to.eql(first);
+    expect(third).to.not.eql(second);
+  });
+});
+
+describe('mergeConfigFiles()', function() {
+  const mergeConfigFiles = require('../lib/config-files').mergeConfigFiles;
+
+  afterEach(function() {
+    delete process.env.BABEL_ENV;
+  });
+
+  it('lets options win over config files, but concatenates plugins and presets', function() {
+    let configFiles = [
+      { options: { plugins: ['a'], presets: ['x'], compact: true, comments: false } },
+      { options: { plugins: ['b'], compact: false } }
+    ];
+
+    expect(mergeConfigFiles(configFiles, { plugins: ['c'], comments: true })).to.eql({
+      plugins: ['a', 'b', 'c'],
+      presets: ['x'],
+      compact: false,
+      comments: true
+    });
+  });
+
+  it('applies the env section for BABEL_ENV', function() {
+    process.env.BABEL_ENV = 'production';
+    let configFiles = [
+      { options: { plugins: ['a'], env: { production: { plugins: ['b'] }, development: { plugins: ['c'] } } } }
+    ];
+
+    expect(mergeConfigFiles(configFiles, { env: { production: { compact: true } } })).to.eql({
+      plugins: ['a', 'b'],
+      compact: true
+    });
+  });
+});
+
+describe('plugin packages', function() {
+  // a project with version `version` of babel-plugin-versioned installed
+  function project(name, version) {
+    let root = path.join(os.tmpdir(), 'broccoli-babel-transpiler-' + name);
+    let packageRoot = path.join(root, 'node_modules/babel-plugin-versioned');
+
+    mkdirp(packageRoot);
+    fs.writeFileSync(path.join(packageRoot, 'package.json'), JSON.stringify({ name: 'babel-plugin-versioned', version }));
+    fs.writeFileSync(path.join(packageRoot, 'index.js'), 'module.exports = function() { return {}; };');
+    fs.writeFileSync(path.join(root, 'local-plugin.js'), 'module.exports = function() { return { visitor: {} }; };');
+
+    return {
+      root,
+      remove() {
+        fs.unlinkSync(path.join(packageRoot, 'package.json'));
+        fs.unlinkSync(path.join(packageRoot, 'index.js'));
+        fs.rmdirSync(packageRoot);
+        fs.rmdirSync(path.join(root, 'node_modules'));
+        fs.unlinkSync(path.join(root, 'local-plugin.js'));
+        fs.rmdirSync(root);
+      }
+    };
+  }
+
+  it('tries the names Babel 6 tries', function() {
+    expect(pluginPackages.possibleNames('foo', 'plugin', 6)).to.eql(['babel-plugin-foo', 'foo']);
+    expect(pluginPackages.possibleNames('@org/foo', 'preset', 6)).to.eql(['babel-preset-@org/foo', '@org/foo', '@org/babel-preset-foo']);
+    expect(pluginPackages.possibleNames('./foo', 'plugin', 6)).to.eql(['./foo']);
+  });
+
+  it('tries the name Babel 7 standardizes to', function() {
+    expect(pluginPackages.possibleNames('foo', 'plugin', 7)).to.eql(['babel-plugin-foo']);
+    expect(pluginPackages.possibleNames('babel-plugin-foo', 'plugin', 7)).to.eql(['babel-plugin-foo']);
+    expect(pluginPackages.possibleNames('@babel/env', 'preset', 7)).to.eql(['@babel/preset-env']);
+    expect(pluginPackages.possibleNames('@org', 'plugin', 7)).to.eql(['@org/babel-plugin']);
+    expect(pluginPackages.possibleNames('@org/foo', 'plugin', 7)).to.eql(['@org/babel-plugin-foo']);
+    expect(pluginPackages.possibleNames('module:foo', 'plugin', 7)).to.eql(['foo']);
+  });
+
+  it('hashes the package a name resolves to, relative to the project', function() {
+    let first = project('plugin-packages-a', '1.0.0');
+    let second = project('plugin-packages-b', '10.0.0');
+
+    try {
+      let firstHash = pluginPackages.hashForPackage('versioned', 'plugin', 6, first.root);
+
+      expect(pluginPackages.resolvePackage('versioned', 'plugin', 6, first.root).root).to.eql(path.join(first.root, 'node_modules/babel-plugin-versioned'));
+      expect(pluginPackages.hashForPackage('babel-plugin-versioned', 'plugin', 6, first.root)).to.eql(firstHash);
+      expect(pluginPackages.hashForPackage('versioned', 'plugin', 6, second.root)).to.not.eql(firstHash);
+    } finally {
+      first.remove();
+      second.remove();
+    }
+  });
+
+  it('hashes a requireFile by its package, unless that is the project itself', function() {
+    let pluginFile = require.resolve('babel-plugin-transform-strict-mode');
+    let fixture = fixtureFullPath('transform-strict-mode-parallel');
+
+    expect(pluginPackages.hashForFile(pluginFile, process.cwd())).to.eql(hashForDep(path.dirname(require.resolve('babel-plugin-transform-strict-mode/package.json'))));
+    expect(pluginPackages.hashForFile(fixture, process.cwd())).to.eql(crypto.createHash('md5').update(fs.readFileSync(require.resolve(fixture))).digest('hex'));
+    expect(() => pluginPackages.hashForFile('/does/not/exist', process.cwd())).to.throw(Error, 'broccoli-babel-transpiler: could not find the file `/does/not/exist` to compute the cache key');
+  });
+
+  it('hashes a requireFile of the project along with the files it requires', function() {
+    let dir = path.join(os.tmpdir(), 'broccoli-babel-transpiler-local-requires');
+    let file = path.join(dir, 'plugin.js');
+    let helper = path.join(dir, 'lib', 'helper.js');
+
+    mkdirp(path.dirname(helper));
+    fs.writeFileSync(file, "module.exports = require('./lib/helper');");
+    fs.writeFileSync(helper, "require('../plugin'); require('./missing'); require('path'); module.exports = 1;");
+
+    try {
+      let hash = pluginPackages.hashForFile(file, process.cwd());
+
+      expect(pluginPackages.hashForFile(file, process.cwd())).to.eql(hash);
+
+      fs.writeFileSync(helper, "require('../plugin'); module.exports = 2;");
+
+      expect(pluginPackages.hashForFile(file, process.cwd())).to.not.eql(hash);
+    } finally {
+      fs.unlinkSync(helper);
+      fs.unlinkSync(file);
+      fs.rmdirSync(path.dirname(helper));
+      fs.rmdirSync(dir);
+    }
+  });
+
+  it('hashes a plugin given as a path by its contents', function() {
+    let first = project('plugin-packages-a', '1.0.0');
+
+    try {
+      let firstHash = pluginPackages.hashForPackage('./local-plugin', 'plugin', 6, first.root);
+
+      fs.writeFileSync(path.join(first.root, 'local-plugin.js'), 'module.exports = function() { return {}; };');
+
+      expect(pluginPackages.resolvePackage('./local-plugin', 'plugin', 6, first.root)).to.eql({ file: path.join(first.root, 'local-plugin.js'), root: null });
+      expect(pluginPackages.hashForPackage('./local-plugin', 'plugin', 6, first.root)).to.not.eql(firstHash);
+    } finally {
+      first.remove();
+    }
+  });
+});
+
+describe('module graph', function() {
+  const ModuleGraph = require('../lib/module-graph');
+
+  it('resolves relative imports against the importing module', function() {
+    expect(ModuleGraph.resolveImport('app/routes/index', './application')).to.eql('app/routes/application');
+    expect(ModuleGraph.resolveImport('app/routes/index', '../utils/fetch')).to.eql('app/utils/fetch');
+    expect(ModuleGraph.resolveImport('app/routes/index', 'ember')).to.eql('ember');
+  });
+
+  it('finds each cycle once', function() {
+    let graph = ModuleGraph.buildModuleGraph([
+      { relativePath: 'a.js', moduleId: 'a', imports: ['./b'] },
+      { relativePath: 'b.js', moduleId: 'b', imports: ['./c', './a'] },
+      { relativePath: 'c.js', moduleId: 'c', imports: ['./b', './c'] },
+      { relativePath: 'd.js', moduleId: 'd', imports: ['./a'] }
+    ]);
+
+    expect(ModuleGraph.findCycles(graph)).to.eql([
+      ['b', 'c'],
+      ['c'],
+      ['a', 'b']
+    ]);
+  });
+});
+
 describe('implementsParallelAPI()', function() {
   it('string - no', function () {
     expect(ParallelApi.implementsParallelAPI('transform-es2025')).to.eql(false);
@@ -1130,118 +2347,72 @@ describe('isSerializable()', function() {
   });
 });
 
-describe('pluginsAreParallelizable()', function() {
-  it('undefined - yes', function () {
-    expect(ParallelApi.pluginsAreParallelizable(undefined)).to.eql({ isParallelizable: true, errors: [] });
-  });
-
-  it('[] - yes', function () {
-    expect(ParallelApi.pluginsAreParallelizable([])).to.eql({ isParallelizable: true, errors: []});
-  });
-
-  it('array of plugins that are parllelizable - yes', function () {
-    let plugins = [
-      'some-plugin',
-      'some-other-plugin',
-      { _parallelBabel: { requireFile: "a/file" } },
-    ];
-
-    expect(ParallelApi.pluginsAreParallelizable(plugins)).to.eql({ isParallelizable: true, errors: []});
+describe('findUnserializable()', function() {
+  it('finds nothing in serializable values', function() {
+    expect(ParallelApi.findUnserializable({
+      plugins: ['some-plugin', ['some-other-plugin', { a: [1, 'b', true, null] }]],
+      resolveModuleSource: { _parallelBabel: { requireFile: 'a/file' } }
+    })).to.eql([]);
   });
 
-  it('one plugin is not parallelizable - no', function () {
-    let plugins = [
-      'some-plugin',
-      'some-other-plugin',
-      { requireFile: "another/file", options: {} },
-      function() {},
-    ];
+  it('reports the path of every value that can not be sent to a worker, and why', function() {
+    class Resolver {}
+    let anonymous = [function() {}][0];
 
-    expect(ParallelApi.pluginsAreParallelizable(plugins)).to.eql({
-      isParallelizable: false,
-      errors: [
-        `name: unknown, location: unknown,\n↓ function source ↓ \n${function() {}.toString()}\n \n`
-      ]
-    });
-  });
-});
-
-describe('callbacksAreParallelizable()', function() {
-  it('no callback functions - yes', function () {
     let options = {
-      inputSourceMap: false,
       plugins: [
         'some-plugin',
+        ['some-other-plugin', { resolvePath: function resolvePath() {} }],
+        [{ _parallelBabel: { requireFile: 'a/file' } }, { 'some-resolver': new Resolver() }]
       ],
+      presets: [
+        ['some-preset', { exclude: anonymous, include: undefined }]
+      ]
     };
-    expect(ParallelApi.callbacksAreParallelizable(options)).to.eql({ isParallelizable: true, errors: []});
+
+    expect(ParallelApi.findUnserializable(options)).to.eql([
+      { path: 'plugins[1][1].resolvePath', reason: 'is the function `resolvePath`, which has no `_parallelBabel` to build it in a worker from' },
+      { path: 'plugins[2][1]["some-resolver"]', reason: 'is an instance of `Resolver`, which loses its prototype in a worker' },
+      { path: 'presets[0][1].exclude', reason: 'is an anonymous function, which has no `_parallelBabel` to build it in a worker from' }
+    ]);
   });
 
-  it('function - no', function () {
-    let options = {
-      inputSourceMap: false,
-      plugins: [
-        'some-plugin'
-      ],
-      resolveModuleSource: function() {},
-    };
+  it('accepts functions exported by required files with deriveParallelApi', function() {
+    let plugin = require(fixtureFullPath('transform-strict-mode-plain'));
+    let options = { plugins: [plugin, [plugin.named, {}]] };
 
-    if (options.resolveModuleSource.name === '') {
-      // old nodes don't create a good name here.
-      expect(ParallelApi.callbacksAreParallelizable(options)).to.eql({ isParallelizable: false, errors: [`name: unknown, location: unknown,\n↓ function source ↓ \nfunction () {}\n \n`] });
-    } else {
-      expect(ParallelApi.callbacksAreParallelizable(options)).to.eql({ isParallelizable: false, errors: [`name: resolveModuleSource, location: unknown`] });
-    }
+    expect(ParallelApi.findUnserializable(options, '', true)).to.eql([]);
+    expect(ParallelApi.findUnserializable(options).map(value => value.path)).to.eql(['plugins[0]', 'plugins[1][0]']);
   });
 
-  it('function with correct _parallelBabel property - yes', function () {
-    let someFunc = function() {};
-    someFunc._parallelBabel = { requireFile: 'a/file' };
+  it('accepts values serialize() encodes, and looks into maps, sets and params', function() {
     let options = {
-      inputSourceMap: false,
       plugins: [
-        'some-plugin'
+        ['some-plugin', {
+          exclude: /node_modules/,
+          since: new Date(0),
+          missing: undefined,
+          aliases: new Map([['a', 'b'], ['c', Symbol('d')]]),
+          extensions: new Set(['.js', function extension() {}])
+        }],
+        { _parallelBabel: { requireFile: 'a/file', buildUsing: 'build', params: { resolve: Symbol('resolve') } } }
       ]
     };
-    expect(ParallelApi.callbacksAreParallelizable(options)).to.eql({ isParallelizable: true, errors: [] });
-  });
-
 
-
-  it('function with correct _parallelBabel property - yes (but with sneaky second function)', function () {
-    let someFunc = function() {};
-    someFunc._parallelBabel = { requireFile: 'a/file' };
-    let options = {
-      inputSourceMap: false,
-      plugins: [
-        'some-plugin'
-      ],
-      keyDontMatter: someFunc,
-    };
-
-    expect(ParallelApi.callbacksAreParallelizable(options)).to.eql({
-      isParallelizable: true,
-      errors: [ ]
-    });
+    expect(ParallelApi.findUnserializable(options).map(value => value.path)).to.eql([
+      'plugins[0][1].aliases.entries()[1][1]',
+      'plugins[0][1].extensions.values()[1]',
+      'plugins[1]._parallelBabel.params.resolve'
+    ]);
   });
 
-  it('_parallelBabel set incorrectly - no', function () {
-    let someFunc = function() {};
-    someFunc._parallelBabel = { no: 'wrong' };
-    let options = {
-      inputSourceMap: false,
-      plugins: [
-        'some-plugin'
-      ],
-      keyDontMatter: someFunc,
-    };
+  it('visits shared and circular values once', function() {
+    let shared = { callback() {} };
+    let options = { a: shared, b: shared };
 
-    if (someFunc.name === '') {
-      // older nodes don't correctly assign the name
-      expect(ParallelApi.callbacksAreParallelizable(options)).to.eql({ isParallelizable: false, errors: ['name: unknown, location: unknown,\n↓ function source ↓ \nfunction () {}\n \n']});
-    } else {
-      expect(ParallelApi.callbacksAreParallelizable(options)).to.eql({ isParallelizable: false, errors: ['name: someFunc, location: unknown']});
-    }
+    options.self = options;
+
+    expect(ParallelApi.findUnserializable(options).map(value => value.path)).to.eql(['a.callback']);
   });
 });
 
@@ -1280,7 +2451,7 @@ describe('transformIsParallelizable()', function() {
     };
     expect(ParallelApi.transformIsParallelizable(options)).to.eql({
       isParallelizable: false,
-      errors: [ `name: unknown, location: unknown,\n↓ function source ↓ \n${(function() {}.toString())}\n \n`]
+      errors: [ '`plugins[0]` is an anonymous function, which has no `_parallelBabel` to build it in a worker from' ]
     });
   });
 
@@ -1292,11 +2463,22 @@ describe('transformIsParallelizable()', function() {
     };
 
     if (options.resolveModuleSource.name === '') {
-      expect(ParallelApi.transformIsParallelizable(options)).to.eql({ isParallelizable: false, errors: ['name: unknown, location: unknown,\n↓ function source ↓ \nfunction () {}\n \n']});
+      expect(ParallelApi.transformIsParallelizable(options)).to.eql({ isParallelizable: false, errors: ['`resolveModuleSource` is an anonymous function, which has no `_parallelBabel` to build it in a worker from']});
     } else {
-      expect(ParallelApi.transformIsParallelizable(options)).to.eql({ isParallelizable: false, errors: ['name: resolveModuleSource, location: unknown'] });
+      expect(ParallelApi.transformIsParallelizable(options)).to.eql({ isParallelizable: false, errors: ['`resolveModuleSource` is the function `resolveModuleSource`, which has no `_parallelBabel` to build it in a worker from'] });
     }
   });
+
+  it('reports paths relative to where the options are nested', function() {
+    let options = {
+      plugins: [ ['some-plugin', { resolvePath: Symbol('resolvePath') }] ]
+    };
+
+    expect(ParallelApi.transformIsParallelizable(options, 'overrides[1].options')).to.eql({
+      isParallelizable: false,
+      errors: ['`overrides[1].options.plugins[0][1].resolvePath` is the symbol `Symbol(resolvePath)`']
+    });
+  });
 });
 
 describe('serialize()', function() {
@@ -1350,6 +2532,141 @@ describe('serialize()', function() {
   });
 });
 
+describe('registerOptions()', function() {
+  it('keeps the options of the file itself apart', function() {
+    let registration = ParallelApi.registerOptions({
+      filename: 'foo.js',
+      sourceFileName: 'foo.js',
+      moduleId: 'foo',
+      plugins: [
+        { _parallelBabel: { requireFile: fixtureFullPath('transform-strict-mode-parallel') } }
+      ]
+    });
+
+    expect(registration.fileOptions).to.eql({ filename: 'foo.js', sourceFileName: 'foo.js', moduleId: 'foo' });
+    expect(registration.options).to.eql({
+      plugins: [
+        { _parallelBabel: { requireFile: fixtureFullPath('transform-strict-mode-parallel') } }
+      ]
+    });
+  });
+
+  it('identifies the options shared by files by their contents', function() {
+    let foo = ParallelApi.registerOptions({ filename: 'foo.js', plugins: ['transform-strict-mode'] });
+    let bar = ParallelApi.registerOptions({ filename: 'bar.js', plugins: ['transform-strict-mode'] });
+    let baz = ParallelApi.registerOptions({ filename: 'baz.js', plugins: ['transform-es2015-block-scoping'] });
+
+    expect(foo.key).to.eql(bar.key);
+    expect(foo.key).to.not.eql(baz.key);
+  });
+
+  it('serializes the options files share by their values only once', function() {
+    let plugins = [
+      { _parallelBabel: { requireFile: fixtureFullPath('transform-strict-mode-parallel') } }
+    ];
+    let foo = ParallelApi.registerOptions({ filename: 'foo.js', plugins });
+    let bar = ParallelApi.registerOptions({ filename: 'bar.js', plugins });
+    let baz = ParallelApi.registerOptions({ filename: 'baz.js', plugins: plugins.slice() });
+
+    expect(bar.options).to.equal(foo.options);
+    expect(bar.fileOptions).to.eql({ filename: 'bar.js' });
+    expect(baz.options).to.not.equal(foo.options);
+    expect(baz.key).to.eql(foo.key);
+  });
+});
+
+describe('serialize() and deserialize()', function() {
+  // what a worker process gets
+  function send(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  it('round-trip values JSON can not represent', function() {
+    let options = {
+      exclude: /node_modules\/(?!some-addon)/gi,
+      since: new Date(1500000000000),
+      missing: undefined,
+      items: [undefined, null, NaN, Infinity, -Infinity],
+      aliases: new Map([['a', /b/], [1, new Set([undefined, 'c'])]]),
+      nested: { deeper: { pattern: /x/m } }
+    };
+
+    expect(ParallelApi.deserialize(send(ParallelApi.serialize(options)))).to.eql(options);
+  });
+
+  it('leaves what was not serialized as it is', function() {
+    let options = {
+      exclude: /node_modules/,
+      aliases: new Map([['a', 'b']])
+    };
+    let deserialized = ParallelApi.deserialize(options);
+
+    expect(deserialized.exclude).to.equal(options.exclude);
+    expect(deserialized.aliases).to.equal(options.aliases);
+  });
+
+  it('keeps values that are shared, or part of a cycle, shared', function() {
+    let config = { loose: true, aliases: new Map([['a', 'b']]) };
+    let options = {
+      plugins: [['plugin-a', config], ['plugin-b', config]],
+      extra: {}
+    };
+    options.extra.self = options.extra;
+    config.aliases.set('config', config);
+
+    let deserialized = ParallelApi.deserialize(send(ParallelApi.serialize(options)));
+
+    expect(deserialized.plugins[0][1]).to.equal(deserialized.plugins[1][1]);
+    expect(deserialized.plugins[0][1].aliases.get('config')).to.equal(deserialized.plugins[0][1]);
+    expect(deserialized.plugins[0][1].loose).to.eql(true);
+    expect(deserialized.extra.self).to.equal(deserialized.extra);
+  });
+
+  it('serializes the same options the same way every time', function() {
+    let plugin = function() {};
+    plugin._parallelBabel = { requireFile: 'some/file' };
+    let config = { loose: true };
+    let options = { plugins: [[plugin, config], ['plugin-b', config]] };
+    let first = ParallelApi.serialize(options);
+
+    expect(ParallelApi.serialize(options)).to.eql(first);
+    expect(ParallelApi.serialize({ plugins: [[plugin, { loose: true }]] }).plugins[0]).to.eql([
+      { _parallelBabel: { requireFile: 'some/file' } },
+      { loose: true }
+    ]);
+  });
+
+  it('throws for class instances and symbols, naming where they are', function() {
+    class Resolver {}
+
+    expect(() => ParallelApi.serialize({ plugins: [['some-plugin', { resolver: new Resolver() }]] })).to.throw(TypeError,
+      'broccoli-babel-transpiler: can not send `plugins[0][1].resolver` to a worker, it is an instance of `Resolver`, which loses its prototype in a worker');
+    expect(() => ParallelApi.serialize({ aliases: new Map([['a', Symbol('b')]]) })).to.throw(TypeError,
+      'broccoli-babel-transpiler: can not send `aliases.entries()[0][1]` to a worker, it is the symbol `Symbol(b)`');
+  });
+});
+
+describe('serialize() with deriveParallelApi', function() {
+  it('derives _parallelBabel for functions exported by required files', function() {
+    let plugin = require(fixtureFullPath('transform-strict-mode-plain'));
+    let requireFile = require.resolve(fixtureFullPath('transform-strict-mode-plain'));
+
+    expect(ParallelApi.serialize({ plugins: [plugin, [plugin.named, {}]] }, true)).to.eql({
+      plugins: [
+        { _parallelBabel: { requireFile } },
+        [{ _parallelBabel: { requireFile, useMethod: 'named' } }, {}]
+      ]
+    });
+  });
+
+  it('throws for other functions', function() {
+    let plugin = [function() {}][0];
+
+    expect(() => ParallelApi.serialize({ plugins: [plugin] }, true)).to.throw(TypeError,
+      'broccoli-babel-transpiler: can not send `plugins[0]` to a worker, it is an anonymous function, which has no `_parallelBabel` to build it in a worker from');
+  });
+});
+
 describe('buildFromParallelApiInfo()', function() {
   it('requireFile', function() {
     let filePath = fixtureFullPath('transform-strict-mode-parallel');
@@ -1424,7 +2741,7 @@ describe('concurrency', function() {
     delete require.cache[parallelApiPath];
     delete process.env.JOBS;
     ParallelApi = require(PATH);
-    return terminateWorkerPool();
+    return terminateWorkerPools();
   });
 
   it('sets jobs automatically using detected cpus', function() {
@@ -1444,9 +2761,58 @@ describe('getBabelVersion()', function() {
     let expectedVersion = require('babel-core/package.json').version;
     expect(ParallelApi.getBabelVersion()).to.equal(expectedVersion);
   });
+
+  it ('returns the version of a custom Babel core', function() {
+    expect(ParallelApi.getBabelVersion(require.resolve(fixtureFullPath('babel-core-7')))).to.equal('7.0.0');
+  });
+});
+
+describe('custom Babel core', function() {
+  it('uses one worker pool per Babel core', function() {
+    let custom = require.resolve(fixtureFullPath('babel-core-7'));
+
+    expect(ParallelApi.getWorkerPoolID(custom)).to.not.eql(ParallelApi.getWorkerPoolID());
+    expect(ParallelApi.getWorkerPoolID(custom)).to.contain('7.0.0');
+  });
+
+  it('does not pass sourceMapTarget to Babel 7', function() {
+    let transpilerOptions;
+    let babel = new Babel('foo', { babelCorePath: fixtureFullPath('babel-core-7') });
+
+    babel.transform = function(string, options) {
+      transpilerOptions = options;
+      return Promise.resolve({ code: {} });
+    };
+
+    babel.processString('path', 'relativePath');
+
+    expect(transpilerOptions.filename).to.eql('relativePath');
+    expect(transpilerOptions.sourceFileName).to.eql('relativePath');
+    expect(transpilerOptions).to.not.have.property('sourceMapTarget');
+  });
+
+  it('throws if `babel` was not loaded through require', function() {
+    expect(() => new Babel('foo', { babel: { transform() {} } })).to.throw(/please pass `babelCorePath` instead/);
+  });
+
+  it('rejects helperWhiteList for Babel 7', function() {
+    expect(() => new Babel('foo', {
+      babelCorePath: fixtureFullPath('babel-core-7'),
+      helperWhiteList: []
+    })).to.throw(/does not report which helpers a file uses/);
+  });
+
+  it('rejects externalHelpers for Babel 7', function() {
+    expect(() => new Babel('foo', {
+      babelCorePath: fixtureFullPath('babel-core-7'),
+      externalHelpers: true
+    })).to.throw(/does not report which helpers a file uses/);
+  });
 });
 
 describe('workerpool', function() {
+  this.timeout(10 * 1000); // every test starts workers of its own
+
   const PATH = '../lib/parallel-api';
   let parallelApiPath = require.resolve(PATH);
 
@@ -1465,7 +2831,353 @@ describe('workerpool', function() {
 
   afterEach(function() {
     delete process.env.JOBS;
-    return terminateWorkerPool();
+    return terminateWorkerPools();
+  });
+
+  it('terminates a pool when the last instance using it is cleaned up', function() {
+    let babelCorePath = require.resolve(fixtureFullPath('babel-core-pool'));
+    let one = new Babel('foo', { babelCorePath, jobs: 2 });
+    let two = new Babel('foo', { babelCorePath, jobs: 2 });
+    let pool;
+
+    return one.transform(stringToTransform, options).then(() => {
+      pool = ParallelApi.getWorkerPool(babelCorePath, 2);
+      expect(pool.stats().totalWorkers).to.eql(1);
+
+      return one.cleanup();
+    }).then(() => {
+      expect(pool.stats().totalWorkers).to.eql(1);
+
+      // cleaning up twice does not release the pool twice
+      return one.cleanup();
+    }).then(() => {
+      expect(pool.stats().totalWorkers).to.eql(1);
+
+      return two.cleanup();
+    }).then(() => {
+      expect(pool.stats().totalWorkers).to.eql(0);
+      expect(ParallelApi.getWorkerPool(babelCorePath, 2)).to.not.equal(pool);
+    });
+  });
+
+  it('terminates a pool after workerIdleTimeout', function() {
+    let babelCorePath = require.resolve(fixtureFullPath('babel-core-pool'));
+    let babel = new Babel('foo', { babelCorePath, jobs: 2, workerIdleTimeout: 10 });
+    let pool;
+
+    return babel.transform(stringToTransform, options).then(() => {
+      pool = ParallelApi.getWorkerPool(babelCorePath, 2);
+      expect(pool.stats().totalWorkers).to.eql(1);
+
+      return new Promise(resolve => setTimeout(resolve, 200));
+    }).then(() => {
+      expect(ParallelApi.getWorkerPool(babelCorePath, 2)).to.not.equal(pool);
+
+      return babel.transform(stringToTransform, options);
+    }).then(result => {
+      expect(result.code).to.eql('"use strict";\n\nvar x = 0;');
+    });
+  });
+
+  it('recycles a worker after workerMaxTransforms', function() {
+    let babelCorePath = require.resolve(fixtureFullPath('babel-core-pool'));
+    let babel = new Babel('foo', { babelCorePath, jobs: 2, workerMaxTransforms: 2 });
+    let pool = ParallelApi.getWorkerPool(babelCorePath, 2);
+    let pid;
+
+    return babel.transform(stringToTransform, options).then(() => {
+      expect(pool.stats().totalWorkers).to.eql(1);
+      pid = pool.workers[0].worker.pid;
+
+      return babel.transform(stringToTransform, options);
+    }).then(() => {
+      expect(pool.stats().totalWorkers).to.eql(0);
+
+      return babel.transform(stringToTransform, options);
+    }).then(result => {
+      expect(result.code).to.eql('"use strict";\n\nvar x = 0;');
+      expect(pool.workers[0].worker.pid).to.not.eql(pid);
+    });
+  });
+
+  it('warns once and keeps its workers when workerpool does not expose how to remove one', function() {
+    let babelCorePath = require.resolve(fixtureFullPath('babel-core-pool'));
+    let messages = [];
+    let babel = new Babel('foo', {
+      babelCorePath,
+      jobs: 2,
+      workerMaxTransforms: 1,
+      console: { warn(message) { messages.push(message); } }
+    });
+    let pool = ParallelApi.getWorkerPool(babelCorePath, 2);
+
+    pool._removeWorker = undefined;
+
+    return babel.transform(stringToTransform, options).then(() => {
+      return babel.transform(stringToTransform, options);
+    }).then(result => {
+      expect(result.code).to.eql('"use strict";\n\nvar x = 0;');
+      expect(pool.stats().totalWorkers).to.eql(1);
+      expect(messages).to.eql([
+        'broccoli-babel-transpiler: this version of workerpool does not allow retiring a worker, `workerMaxTransforms` and `workerMaxMemory` are ignored'
+      ]);
+    });
+  });
+
+  it('recycles a worker after workerMaxMemory without failing other files', function() {
+    let babelCorePath = require.resolve(fixtureFullPath('babel-core-pool'));
+    let babel = new Babel('foo', { babelCorePath, jobs: 2, workerMaxMemory: 1 });
+    let transforms = [1, 2, 3, 4].map(() => babel.transform(stringToTransform, options));
+
+    return Promise.all(transforms).then(results => {
+      results.forEach(result => {
+        expect(result.code).to.eql('"use strict";\n\nvar x = 0;');
+      });
+      expect(ParallelApi.getWorkerPool(babelCorePath, 2).stats().totalWorkers).to.eql(0);
+    });
+  });
+
+  it('transpiles in the main process with jobs: 1', function() {
+    let plugin = {
+      _parallelBabel: {
+        requireFile: fixtureFullPath('transform-strict-mode-worker-exit'),
+        buildUsing: 'buildMeAFunction'
+      }
+    };
+
+    return new Babel('foo', { jobs: 1 }).transform(stringToTransform, { plugins: [plugin] }).then(result => {
+      expect(result.code).to.eql('"use strict";\n\nconst x = 0;');
+    });
+  });
+
+  it('uses a pool of its own for each number of jobs', function() {
+    let babel = new Babel('foo', { jobs: 3 });
+
+    return babel.transform(stringToTransform, options).then(() => {
+      let pool = ParallelApi.getWorkerPool(undefined, 3);
+
+      expect(pool.maxWorkers).to.eql(3);
+      expect(pool.stats().totalWorkers).to.eql(1);
+      expect(ParallelApi.getWorkerPool(undefined, 2)).to.not.equal(pool);
+    });
+  });
+
+  it('transpiles in threads with workerType: thread', function() {
+    if (!ParallelApi.hasWorkerThreads()) {
+      this.skip();
+    }
+
+    let babel = new Babel('foo', { jobs: 2, workerType: 'thread' });
+    let plugins = [
+      { _parallelBabel: { requireFile: fixtureFullPath('transform-strict-mode-parallel') } }
+    ];
+
+    return babel.transform(stringToTransform, { plugins }).then(result => {
+      let pool = ParallelApi.getWorkerPool(undefined, 2, 'thread');
+
+      expect(result.code).to.eql('"use strict";\n\nconst x = 0;');
+      expect(pool.workers.map(handler => handler.worker.isWorkerThread)).to.eql([true]);
+      expect(ParallelApi.getWorkerPool(undefined, 2)).to.not.equal(pool);
+
+      return babel.cleanup();
+    });
+  });
+
+  it('uses processes with workerType: thread where there are no threads', function() {
+    if (ParallelApi.hasWorkerThreads()) {
+      this.skip();
+    }
+
+    expect(ParallelApi.getWorkerPool(undefined, 2, 'thread')).to.equal(ParallelApi.getWorkerPool(undefined, 2, 'process'));
+  });
+
+  describe('batchSize', function() {
+    let babelCorePath = require.resolve(fixtureFullPath('babel-core-pool'));
+    let messages;
+
+    beforeEach(function() {
+      let pool = ParallelApi.getWorkerPool(babelCorePath, 2);
+      let exec = pool.exec;
+
+      messages = [];
+      pool.exec = function(method, params) {
+        messages.push(method === 'transformBatch' ? method + ':' + params[0].length : method);
+        return exec.apply(this, arguments);
+      };
+
+      babel = makeTestHelper({
+        subject: function() {
+          return new Babel(arguments[0], arguments[1]);
+        },
+        fixturePath: inputPath
+      });
+    });
+
+    afterEach(function () {
+      return cleanupBuilders();
+    });
+
+    it('sends small files to workers in batches', function() {
+      return babel('files', {
+        babelCorePath,
+        jobs: 2,
+        batchSize: 3,
+        persist: false,
+        plugins: [ 'transform-strict-mode', 'transform-es2015-block-scoping' ]
+      }).then(results => {
+        let output = fs.readFileSync(path.join(results.directory, 'fixtures.js'), 'utf8');
+        let expected = fs.readFileSync(path.join(expectations, 'expected.js'), 'utf8');
+
+        expect(output).to.eql(expected);
+        expect(messages).to.eql(['transformBatch:3', 'transformBatch:3']);
+      });
+    });
+
+    it('sends files over batchMaxFileSize on their own', function() {
+      return babel('files', {
+        babelCorePath,
+        jobs: 2,
+        batchSize: 3,
+        batchMaxFileSize: 20,
+        persist: false,
+        plugins: [ 'transform-strict-mode' ]
+      }).then(() => {
+        expect(messages.filter(message => message === 'transform').length).to.be.above(0);
+        expect(messages.filter(message => message !== 'transform').length).to.be.above(0);
+      });
+    });
+
+    it('fails only the files of a batch that have errors', function() {
+      return babel('collect-errors', {
+        babelCorePath,
+        jobs: 2,
+        batchSize: 4,
+        persist: false,
+        collectErrors: true,
+        plugins: [ 'transform-strict-mode' ]
+      }).then(
+        function onSuccess(results) {
+          expect.fail('', '', 'babel should throw an error');
+        },
+        function onFailure(err) {
+          expect(messages).to.eql(['transformBatch:4']);
+          expect(err.errors.map(error => [error.file, error.line, error.column])).to.eql([
+            ['a.js', 1, 7],
+            ['nested/c.js', 1, 4]
+          ]);
+        }
+      );
+    });
+  });
+
+  describe('registered options', function() {
+    let babelCorePath = require.resolve(fixtureFullPath('babel-core-pool'));
+    let messages;
+
+    // Babel consumes the options it is given
+    function options() {
+      return {
+        babelCorePath,
+        jobs: 2,
+        persist: false,
+        plugins: [ 'transform-strict-mode', 'transform-es2015-block-scoping' ]
+      };
+    }
+
+    beforeEach(function() {
+      let pool = ParallelApi.getWorkerPool(babelCorePath, 2);
+      let exec = pool.exec;
+
+      messages = [];
+      pool.exec = function(method, params) {
+        messages.push(params.length === 4 ? 'with options' : 'hash only');
+        return exec.apply(this, arguments);
+      };
+
+      babel = makeTestHelper({
+        subject: function() {
+          return new Babel(arguments[0], arguments[1]);
+        },
+        fixturePath: inputPath
+      });
+    });
+
+    afterEach(function () {
+      return cleanupBuilders().then(() => ParallelApi.terminateWorkerPool(babelCorePath, 2));
+    });
+
+    it('sends only their hash once every worker knows them', function() {
+      return babel('files', options()).then(() => {
+        messages = [];
+
+        return babel('files', options());
+      }).then(results => {
+        let output = fs.readFileSync(path.join(results.directory, 'fixtures.js'), 'utf8');
+        let expected = fs.readFileSync(path.join(expectations, 'expected.js'), 'utf8');
+
+        expect(output).to.eql(expected);
+        expect(messages.length).to.be.above(0);
+        expect(messages.filter(message => message !== 'hash only')).to.eql([]);
+      });
+    });
+
+    it('makes a worker that does not know them ask for them', function() {
+      let pool = ParallelApi.getWorkerPool(babelCorePath, 2);
+      let registration = ParallelApi.registerOptions({ filename: 'foo.js', plugins: ['transform-strict-mode'] });
+
+      return pool.exec('transform', [stringToTransform, registration.key, registration.fileOptions]).then(
+        function onSuccess() {
+          expect.fail('', '', 'the worker should not know the options');
+        },
+        function onFailure(err) {
+          expect(err.code).to.eql('UNREGISTERED_OPTIONS');
+
+          return pool.exec('transform', [stringToTransform, registration.key, registration.fileOptions, registration.options]);
+        }
+      ).then(response => {
+        expect(response.result.code).to.eql('"use strict";\n\nconst x = 0;');
+        expect(response.worker.options).to.eql([registration.key]);
+      });
+    });
+
+    it('makes a worker forget the options it did not use for the longest', function() {
+      // one worker gets every file
+      let pool = ParallelApi.getWorkerPool(babelCorePath, 1);
+      let registrations = [];
+
+      for (let i = 0; i < 33; i++) {
+        registrations.push(ParallelApi.registerOptions({ filename: 'foo.js', sourceRoot: 'root-' + i, plugins: ['transform-strict-mode'] }));
+      }
+
+      let transform = registration => {
+        return pool.exec('transform', [stringToTransform, registration.key, registration.fileOptions, registration.options]);
+      };
+
+      // the first options are used again before the last ones come in
+      let used = registrations.slice(0, 32).concat(registrations[0], registrations[32]);
+
+      return used.reduce((previous, registration) => {
+        return previous.then(() => transform(registration));
+      }, Promise.resolve()).then(response => {
+        let keys = registrations.map(registration => registration.key);
+
+        expect(response.worker.options).to.have.length(32);
+        expect(response.worker.options).to.not.include(keys[1]);
+        expect(response.worker.options.slice(-2)).to.eql([keys[0], keys[32]]);
+      });
+    });
+  });
+
+  it('terminates every pool with terminateWorkerPools', function() {
+    let pool = ParallelApi.getWorkerPool(undefined, 2);
+
+    return new Babel('foo', { jobs: 2 }).transform(stringToTransform, options).then(() => {
+      expect(pool.stats().totalWorkers).to.eql(1);
+
+      return Babel.terminateWorkerPools();
+    }).then(() => {
+      expect(pool.stats().totalWorkers).to.eql(0);
+    });
   });
 
   it('should limit to one pool per babel version', function() {